@@ -0,0 +1,200 @@
+import parameterizedSelectorFactory, { getStateForCurrentCall } from './parameterizedSelectorFactory';
+import { getActiveContext } from './selectorContext';
+
+
+/**
+ * Async selectors wrap a function that returns a promise. To their callers they look like any other
+ * parameterized selector, except that they return a status object: {
+ *    status: 'pending' | 'resolved' | 'rejected',
+ *    value,    // While pending, this is the previous resolved value (if any)
+ *    error,
+ *  }
+ * When the promise settles, the selector's cached result is invalidated so that its dependents pick up the
+ * new status the next time they're called. Subscriptions (see ./subscribe.js) and the React hook hear about the
+ * invalidation and check again on their own; the `onSettled(keyParams, statusObject)` option can also be used
+ * to find out when that happens.
+ *
+ * The async function receives `(keyParams, select)`. It must read other selectors through
+ * `select(otherSelector, params)` -- both before and after any awaits -- so that those reads are recorded as
+ * dependencies. Reads after an await see the same state as the ones before it.
+ *
+ * Each promise is cached by params, matched the same way as the selector's results, for as long as its
+ * dependencies keep returning the same values. Once they change the async function is called again, and the
+ * promise it replaced is discarded: whatever it resolves to is ignored. The same goes for a promise whose cached
+ * result is evicted, invalidated or cleared (other than by its own settling), so that e.g. a rejected promise can
+ * be retried by invalidating it.
+ */
+const ASYNC_STATUSES = {
+  PENDING: 'pending',
+  RESOLVED: 'resolved',
+  REJECTED: 'rejected',
+};
+
+/**
+ * This is where ALL async selectors are created. The options are the same as for parameterizedSelectorFactory,
+ * plus `onSettled`.
+ *
+ * @param {Function} asyncFn required
+ * @param {Object} overrideOptions optional
+ */
+const asyncSelectorFactory = (asyncFn, overrideOptions = {}) => {
+  const {
+    onSettled,
+    ...selectorOptions
+  } = overrideOptions;
+
+  /**
+   * Each selector context has its own set of in-flight and settled promises. They're kept in a cache built by the
+   * selector's own `createCache` option, so that params are matched exactly as its results are.
+   * Format: WeakMap {
+   *    [context]: cache {
+   *      [keyParams]: {
+   *        keyParams,
+   *        promise,
+   *        statusObject,
+   *        isSettling,
+   *        dependencies: [
+   *          [parameterizedSelector, keyParams, returnValue],
+   *          ...
+   *        ],
+   *      },
+   *    },
+   *  }
+   */
+  const asyncRecordsByContext = new WeakMap();
+  const getAsyncRecords = (context) => {
+    if (!asyncRecordsByContext.has(context)) {
+      const options = asyncSelector.getOptions(); // eslint-disable-line no-use-before-define
+      asyncRecordsByContext.set(context, options.createCache({ ...options, warningsEnabled: false }));
+    }
+    return asyncRecordsByContext.get(context);
+  };
+
+  /**
+   * Calling each dependency again, from within the selector, re-records it for the current run. If any of them
+   * returns something different from what the async function saw, its promise is out-of-date.
+   */
+  const replayDependencies = (asyncRecord) => {
+    let isStillCurrent = true;
+    asyncRecord.dependencies.forEach(([dependencySelector, dependencyKeyParams, dependencyReturnValue]) => {
+      if (dependencySelector(dependencyKeyParams) !== dependencyReturnValue) {
+        isStillCurrent = false;
+      }
+    });
+    return isStillCurrent;
+  };
+
+  const startAsyncRecord = (context, keyParams, previousAsyncRecord) => {
+    const asyncRecords = getAsyncRecords(context);
+    const state = getStateForCurrentCall();
+    const asyncRecord = {
+      keyParams,
+      promise: null,
+      statusObject: {
+        status: ASYNC_STATUSES.PENDING,
+        value: previousAsyncRecord ? previousAsyncRecord.statusObject.value : undefined,
+        error: null,
+      },
+      // This is only set while settling invalidates the selector's cached result
+      isSettling: false,
+      dependencies: [],
+    };
+    asyncRecords.set(keyParams, asyncRecord);
+
+    // Synchronous reads happen within our own run, so they're recorded like any other dependency. Later reads
+    // happen after the selector is done, so we run them on their own -- with the original state.
+    let isRunningSynchronously = true;
+    const select = (dependencySelector, dependencyKeyParams) => {
+      const returnValue = isRunningSynchronously
+        ? dependencySelector(dependencyKeyParams)
+        : context.run(dependencySelector, state, dependencyKeyParams);
+      asyncRecord.dependencies.push([dependencySelector, dependencyKeyParams, returnValue]);
+      return returnValue;
+    };
+
+    const settle = (status, value, error) => {
+      if (asyncRecords.get(keyParams) !== asyncRecord) {
+        // This was superseded by a newer call
+        return;
+      }
+      asyncRecord.statusObject = { status, value, error };
+      asyncRecord.isSettling = true;
+      context.run(asyncSelector.invalidate, keyParams); // eslint-disable-line no-use-before-define
+      asyncRecord.isSettling = false;
+      if (typeof onSettled === 'function') {
+        onSettled(keyParams, asyncRecord.statusObject);
+      }
+    };
+
+    try {
+      asyncRecord.promise = Promise.resolve(asyncFn(keyParams, select));
+    } catch (errorFromAsyncFn) {
+      asyncRecord.promise = Promise.reject(errorFromAsyncFn);
+    }
+    isRunningSynchronously = false;
+
+    asyncRecord.promise.then(
+      value => settle(ASYNC_STATUSES.RESOLVED, value, null),
+      error => settle(ASYNC_STATUSES.REJECTED, asyncRecord.statusObject.value, error),
+    );
+    return asyncRecord;
+  };
+
+  const innerFn = (keyParams) => {
+    const context = getActiveContext();
+    const previousAsyncRecord = getAsyncRecords(context).get(keyParams);
+
+    if (previousAsyncRecord && replayDependencies(previousAsyncRecord)) {
+      return previousAsyncRecord.statusObject;
+    }
+    return startAsyncRecord(context, keyParams, previousAsyncRecord).statusObject;
+  };
+  // The selector's default displayName should come from asyncFn, not from this wrapper
+  Object.defineProperty(innerFn, 'name', { value: asyncFn.name });
+  innerFn.displayName = asyncFn.displayName;
+
+  const asyncSelector = parameterizedSelectorFactory(innerFn, {
+    isRootSelector: false,
+    ...selectorOptions,
+  });
+
+  // This gives the promise behind the current status (if any), e.g. for server-side rendering.
+  asyncSelector.getPromiseForParams = (keyParams) => {
+    const asyncRecord = getAsyncRecords(getActiveContext()).get(keyParams);
+    return asyncRecord ? asyncRecord.promise : null;
+  };
+  asyncSelector.isAsyncSelector = true;
+
+  // A promise goes away along with the cached result it belongs to, except when settling is what removed it
+  asyncSelector.onCachedResultRecordRemoved = (resultRecord) => {
+    const asyncRecords = getAsyncRecords(getActiveContext());
+    const asyncRecord = asyncRecords.get(resultRecord.keyParams);
+    if (asyncRecord && !asyncRecord.isSettling) {
+      asyncRecords.delete(resultRecord.keyParams);
+    }
+  };
+  // A cache without keys() can't list the results it drops here, so the promises are cleared along with them
+  const { clearCache } = asyncSelector;
+  asyncSelector.clearCache = () => {
+    getAsyncRecords(getActiveContext()).clear();
+    return clearCache();
+  };
+
+  return asyncSelector;
+};
+
+
+/**
+ * Like parameterizedSelectorFactory.withOptions, this creates a version with different default options.
+ */
+asyncSelectorFactory.withOptions = localOptions => // eslint-disable-next-line implicit-arrow-linebreak
+  (asyncFn, options = {}) => asyncSelectorFactory(asyncFn, {
+    ...localOptions,
+    ...options,
+  });
+
+
+export {
+  ASYNC_STATUSES,
+};
+export default asyncSelectorFactory;
@@ -1,6 +1,15 @@
 /* global __DEV__ */
 
-import { COMPARISON_PRESETS } from './helpers';
+import {
+  CACHE_PRESETS,
+  COMPARISON_PRESETS,
+  DEPENDENCY_CHECK_STRATEGIES,
+  ERROR_POLICIES,
+  EVICTION_PRESETS,
+} from './helpers';
+
+
+const isDevMode = (typeof __DEV__ !== 'undefined' && !!__DEV__);
 
 
 /**
@@ -21,30 +30,46 @@ const defaultInitialOptions = {
   compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
   exceptionCallback: (errorMessage, error) => {
     console.error(errorMessage, error); // eslint-disable-line no-console
-    throw error;
   },
 };
 
 
-const defaultOptions = {
-  // Some options can only be set at initialization
+// Some options can only be set at initialization
+const defaultInitOnlyOptions = {
   displayNamePrefix: defaultInitialOptions.displayNamePrefix,
   createKeyFromParams: willThrowErrorIfNotSet('createKeyFromParams'),
+  createCache: CACHE_PRESETS.STRINGIFIED_KEYS,
   compareIncomingStates: defaultInitialOptions.compareIncomingStates,
   compareSelectorResults: defaultInitialOptions.compareSelectorResults,
   isRootSelector: willThrowErrorIfNotSet('isRootSelector'),
   hasStaticDependencies: false,
+  dependencyCheckStrategy: DEPENDENCY_CHECK_STRATEGIES.ROOT_FIRST,
+  maxCacheSize: null,
+  evictionPolicy: EVICTION_PRESETS.LEAST_RECENTLY_USED,
+  tags: null,
+  errorPolicy: ERROR_POLICIES.RETRY,
+  fallbackValue: null,
+  // A scoped registry (from createSelectorRegistry) to add the selector to, besides the default one
+  registry: null,
+  // Checks the names, types and combinations of the options given, and warns about any problems
+  optionsValidationEnabled: isDevMode,
+};
 
-  // Some options can be changed anytime
+// Some options can be changed anytime, via setOptions or setGlobalOptions
+const defaultRuntimeOptions = {
   displayName: null,
   useConsoleGroup: true,
   verboseLoggingEnabled: false,
   verboseLoggingCallback: console.log, // eslint-disable-line no-console
-  performanceChecksEnabled: (typeof __DEV__ !== 'undefined' && !!__DEV__),
+  performanceChecksEnabled: isDevMode,
   performanceChecksCallback: console.log, // eslint-disable-line no-console
   warningsEnabled: true,
   warningsCallback: console.warn, // eslint-disable-line no-console
+  // With hasStaticDependencies, every Nth run re-records the dependencies to verify that they haven't changed
+  staticDependencyCheckInterval: isDevMode ? 10 : 0,
   exceptionCallback: defaultInitialOptions.exceptionCallback,
+  // The selectorStack of each thrown error gets added to its message, too
+  addSelectorStackToErrorMessages: isDevMode,
   // Callback functions
   onInvoke: null,
   onSkippedRun: null,
@@ -53,12 +78,21 @@ const defaultOptions = {
   onAbortedRun: null,
 };
 
+const defaultOptions = {
+  ...defaultInitOnlyOptions,
+  ...defaultRuntimeOptions,
+};
+
+const runtimeOptionNames = Object.keys(defaultRuntimeOptions);
+
 // Note that there is no `setDefaultOptions`:
 // If you want the parameterizedSelectorFactory to have different default options, use the
 // `parameterizedSelectorFactory.withOptions` helper to create a factory with those options bound.
 
 
 export {
+  isDevMode,
   defaultInitialOptions,
   defaultOptions,
+  runtimeOptionNames,
 };
@@ -0,0 +1,176 @@
+import { COMPARISON_PRESETS } from './helpers';
+import { getAllSelectors, getSelectorByDisplayName } from './selectorRegistry';
+
+
+/**
+ * Each return value in a snapshot is stored once, under a key like `displayName(keyParamsString)`, no matter how
+ * many results depend on it.
+ */
+const getReturnValueKey = (parameterizedSelector, keyParams) => (
+  `${parameterizedSelector.displayName}(${parameterizedSelector.createKeyFromParams(keyParams)})`
+);
+
+
+/**
+ * This captures the cached results of the given selectors (or of every selector, by default) in a plain object,
+ * so that results computed on the server can be sent along to the client. The return values and params
+ * must be serializable for that to work.
+ *
+ * Format: {
+ *    returnValues: {
+ *      [displayName(keyParamsString)]: returnValue,
+ *      ...
+ *    },
+ *    results: {
+ *      [displayName]: [
+ *        {
+ *          keyParams,
+ *          rootDependencies: [
+ *            [displayName, keyParams],
+ *            ...
+ *          ],
+ *          ownDependencies: [
+ *            [displayName, keyParams],
+ *            ...
+ *          ],
+ *        },
+ *        ...
+ *      ],
+ *    },
+ *  }
+ *
+ * returnValues covers each result along with everything it depends on, so shared data (like the value of a root
+ * selector that many results read) only appears once.
+ *
+ * Root selectors' own results are left out of `results`, since rehydrate runs them against the state instead.
+ *
+ * @param {Array} selectors optional
+ */
+const dehydrate = (selectors = getAllSelectors()) => {
+  const selectorsToDehydrate = new Set(selectors);
+  const snapshot = {
+    returnValues: {},
+    results: {},
+  };
+
+  // Each dependency's value is taken from its own cached result. A result that recorded some other value for it
+  // must be out-of-date, so we leave that result out.
+  const isDependencyCurrent = ([dependencySelector, dependencyKeyParams, dependencyReturnValue]) => {
+    const dependencyResultRecord = dependencySelector.getCachedResultRecord(dependencyKeyParams);
+    return !!dependencyResultRecord && dependencyResultRecord.hasReturnValue
+      && dependencyResultRecord.returnValue === dependencyReturnValue;
+  };
+  const dehydrateDependency = ([dependencySelector, dependencyKeyParams, dependencyReturnValue]) => {
+    snapshot.returnValues[getReturnValueKey(dependencySelector, dependencyKeyParams)] = dependencyReturnValue;
+    return [dependencySelector.displayName, dependencyKeyParams];
+  };
+
+  selectorsToDehydrate.forEach((parameterizedSelector) => {
+    if (parameterizedSelector.isRootSelector) {
+      return;
+    }
+    snapshot.results[parameterizedSelector.displayName] = parameterizedSelector.getCachedResultRecords()
+      .filter(resultRecord => resultRecord.hasReturnValue
+        && resultRecord.rootDependencies.every(isDependencyCurrent)
+        && resultRecord.ownDependencies.every(isDependencyCurrent))
+      .map((resultRecord) => {
+        const returnValueKey = getReturnValueKey(parameterizedSelector, resultRecord.keyParams);
+        snapshot.returnValues[returnValueKey] = resultRecord.returnValue;
+        return {
+          keyParams: resultRecord.keyParams,
+          rootDependencies: resultRecord.rootDependencies.map(dehydrateDependency),
+          ownDependencies: resultRecord.ownDependencies.map(dehydrateDependency),
+        };
+      });
+  });
+  return snapshot;
+};
+
+
+/**
+ * This seeds selectors' caches from a snapshot made by `dehydrate`. Each selector is found by its displayName,
+ * and its results are treated as though they were computed for the given state: calling the selector with
+ * that state will return the seeded result instead of running.
+ *
+ * Root selectors aren't seeded: they're simply run against the given state, since they're cheap and their
+ * results need to come from the state itself. Any result that relied on a root selector which now returns
+ * something different (or which refers to an unknown selector or value) is skipped.
+ *
+ * Every reference to a value in the snapshot resolves to the same deserialized copy, so later dependency checks
+ * can still compare restored values by reference.
+ *
+ * Returns the number of results that were seeded.
+ *
+ * @param {Object} snapshot required
+ * @param {Object} state required
+ */
+const rehydrate = (snapshot, state) => {
+  const { returnValues, results } = snapshot;
+  const hasReturnValue = returnValueKey => Object.prototype.hasOwnProperty.call(returnValues, returnValueKey);
+  let numRestoredResults = 0;
+
+  // Each root selector is only run once per params, and its current value is kept if it still matches the
+  // snapshot (or null if it doesn't)
+  const currentRootReturnValuesByKey = new Map();
+  const getCurrentRootReturnValue = (dependencySelector, dependencyKeyParams, returnValueKey) => {
+    if (!currentRootReturnValuesByKey.has(returnValueKey)) {
+      const currentReturnValue = dependencySelector(state, dependencyKeyParams);
+      currentRootReturnValuesByKey.set(
+        returnValueKey,
+        COMPARISON_PRESETS.JSON_STRING(currentReturnValue, returnValues[returnValueKey]) ? [currentReturnValue] : null,
+      );
+    }
+    return currentRootReturnValuesByKey.get(returnValueKey);
+  };
+
+  // Returns null if the dependency can't be restored
+  const rehydrateDependency = ([dependencyDisplayName, dependencyKeyParams]) => {
+    const dependencySelector = getSelectorByDisplayName(dependencyDisplayName);
+    if (!dependencySelector) {
+      return null;
+    }
+    const returnValueKey = getReturnValueKey(dependencySelector, dependencyKeyParams);
+    if (!hasReturnValue(returnValueKey)) {
+      return null;
+    }
+
+    if (dependencySelector.isRootSelector) {
+      const currentRootReturnValue = getCurrentRootReturnValue(dependencySelector, dependencyKeyParams, returnValueKey);
+      return currentRootReturnValue && [dependencySelector, dependencyKeyParams, currentRootReturnValue[0]];
+    }
+    return [dependencySelector, dependencyKeyParams, returnValues[returnValueKey]];
+  };
+
+  Object.keys(results).forEach((displayName) => {
+    const parameterizedSelector = getSelectorByDisplayName(displayName);
+    if (!parameterizedSelector || parameterizedSelector.isRootSelector) {
+      return;
+    }
+
+    results[displayName].forEach((dehydratedResult) => {
+      const returnValueKey = getReturnValueKey(parameterizedSelector, dehydratedResult.keyParams);
+      const rootDependencies = dehydratedResult.rootDependencies.map(rehydrateDependency);
+      const ownDependencies = dehydratedResult.ownDependencies.map(rehydrateDependency);
+      if (!hasReturnValue(returnValueKey) || !rootDependencies.every(Boolean) || !ownDependencies.every(Boolean)) {
+        return;
+      }
+
+      parameterizedSelector.restoreCachedResultRecord(
+        state,
+        dehydratedResult.keyParams,
+        returnValues[returnValueKey],
+        rootDependencies,
+        ownDependencies,
+      );
+      numRestoredResults += 1;
+    });
+  });
+
+  return numRestoredResults;
+};
+
+
+export {
+  dehydrate,
+  rehydrate,
+};
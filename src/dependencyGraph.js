@@ -0,0 +1,160 @@
+import { getAllSelectors } from './selectorRegistry';
+
+
+/**
+ * These build a snapshot of the dependencies that cached results have recorded, within the active selector
+ * context, so that you can see why a selector checks or re-runs as much as it does.
+ *
+ * Format: {
+ *    nodes: [
+ *      {
+ *        id,
+ *        displayName,
+ *        keyParamsString,
+ *        isRootSelector,
+ *        hasCachedResult,
+ *        invokeCount,
+ *        skippedRunCount,
+ *        phantomRunCount,
+ *        fullRunCount,
+ *        abortedRunCount,
+ *        prefetchedRunCount,
+ *        prefetchHitCount,
+ *        rootDependencyCount,
+ *        ownDependencyCount,
+ *      },
+ *      ...
+ *    ],
+ *    edges: [
+ *      { from: id, to: id },
+ *      ...
+ *    ],
+ *  }
+ *
+ * Each edge goes from a result to one of the results it used directly. The run counts are only tracked if
+ * performanceChecksEnabled is on.
+ */
+const createGraphBuilder = () => {
+  const nodesById = new Map();
+  const edgeKeys = new Set();
+  const edges = [];
+
+  // Returns the node's id, and whether it was new
+  const addNode = (parameterizedSelector, keyParams) => {
+    const keyParamsString = parameterizedSelector.createKeyFromParams(keyParams);
+    const id = `${parameterizedSelector.displayName}(${keyParamsString})`;
+    if (nodesById.has(id)) {
+      return [id, false];
+    }
+
+    const resultRecord = parameterizedSelector.getCachedResultRecord(keyParams);
+    const hasCachedResult = !!resultRecord && resultRecord.hasReturnValue;
+    nodesById.set(id, {
+      id,
+      displayName: parameterizedSelector.displayName,
+      keyParamsString,
+      isRootSelector: parameterizedSelector.isRootSelector,
+      hasCachedResult,
+      ...parameterizedSelector.getAllCountsForParams(keyParams),
+      rootDependencyCount: resultRecord ? resultRecord.rootDependencies.length : 0,
+      ownDependencyCount: resultRecord ? resultRecord.ownDependencies.length : 0,
+    });
+    return [id, true];
+  };
+
+  const addEdge = (from, to) => {
+    const edgeKey = `${from}\n${to}`;
+    if (!edgeKeys.has(edgeKey)) {
+      edgeKeys.add(edgeKey);
+      edges.push({ from, to });
+    }
+  };
+
+  const getGraph = () => ({
+    nodes: [...nodesById.values()],
+    edges,
+  });
+
+  return { addNode, addEdge, getGraph };
+};
+
+
+/**
+ * Builds the graph for every cached result of the given selectors (or of every selector, by default),
+ * along with the results they depend on.
+ *
+ * @param {Array} selectors optional
+ */
+const getDependencyGraph = (selectors = getAllSelectors()) => {
+  const graphBuilder = createGraphBuilder();
+
+  selectors.forEach((parameterizedSelector) => {
+    parameterizedSelector.getCachedResultRecords().forEach((resultRecord) => {
+      const [id] = graphBuilder.addNode(parameterizedSelector, resultRecord.keyParams);
+      resultRecord.ownDependencies.forEach(([dependencySelector, dependencyKeyParams]) => {
+        const [dependencyId] = graphBuilder.addNode(dependencySelector, dependencyKeyParams);
+        graphBuilder.addEdge(id, dependencyId);
+      });
+    });
+  });
+
+  return graphBuilder.getGraph();
+};
+
+
+/**
+ * Builds the graph for a single selector call: its result, and everything that result depends on, directly
+ * or indirectly. This is what `parameterizedSelector.getDependencyGraph(keyParams)` uses.
+ *
+ * @param {Function} parameterizedSelector required
+ * @param {*} keyParams required
+ */
+const getDependencyGraphForParams = (parameterizedSelector, keyParams) => {
+  const graphBuilder = createGraphBuilder();
+
+  const visit = (selectorToVisit, keyParamsToVisit) => {
+    const [id, isNew] = graphBuilder.addNode(selectorToVisit, keyParamsToVisit);
+    const resultRecord = selectorToVisit.getCachedResultRecord(keyParamsToVisit);
+    if (isNew && resultRecord) {
+      resultRecord.ownDependencies.forEach(([dependencySelector, dependencyKeyParams]) => {
+        const dependencyId = visit(dependencySelector, dependencyKeyParams);
+        graphBuilder.addEdge(id, dependencyId);
+      });
+    }
+    return id;
+  };
+  visit(parameterizedSelector, keyParams);
+
+  return graphBuilder.getGraph();
+};
+
+
+/**
+ * Formats the graph for Graphviz. Root selectors are drawn as boxes.
+ *
+ * @param {Object} graph required
+ */
+const dependencyGraphToDOT = (graph) => {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+  const lines = ['digraph dependencies {'];
+  graph.nodes.forEach((node) => {
+    const label = `${node.displayName}\n${node.keyParamsString}\n${node.fullRunCount} of ${node.invokeCount} runs`;
+    const shape = node.isRootSelector ? 'box' : 'ellipse';
+    const style = node.hasCachedResult ? 'solid' : 'dashed';
+    lines.push(`  ${quote(node.id)} [label=${quote(label).replace(/\n/g, '\\n')}, shape=${shape}, style=${style}];`);
+  });
+  graph.edges.forEach(({ from, to }) => {
+    lines.push(`  ${quote(from)} -> ${quote(to)};`);
+  });
+  lines.push('}');
+
+  return lines.join('\n');
+};
+
+
+export {
+  getDependencyGraph,
+  getDependencyGraphForParams,
+  dependencyGraphToDOT,
+};
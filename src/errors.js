@@ -0,0 +1,44 @@
+/**
+ * Thrown when a selector ends up calling itself with the same params, directly or through other selectors.
+ * `selectorPath` lists each call in the cycle, e.g.:
+ *    ['selectA({"x":1})', 'selectB({"y":2})', 'selectA({"x":1})']
+ *
+ * This is a plain constructor instead of a class because Babel can't fully subclass built-ins like Error:
+ * `instanceof CircularDependencyError` wouldn't work.
+ *
+ * @param {Array} selectorPath required
+ */
+function CircularDependencyError(selectorPath) {
+  this.name = 'CircularDependencyError';
+  this.message = `Circular dependency between parameterized selectors: ${selectorPath.join(' -> ')}`;
+  this.selectorPath = selectorPath;
+  this.stack = (new Error(this.message)).stack;
+}
+CircularDependencyError.prototype = Object.create(Error.prototype);
+CircularDependencyError.prototype.constructor = CircularDependencyError;
+
+
+/**
+ * Errors thrown from a selector are annotated with a `selectorStack`: the `displayName(keyParamsString)` of
+ * each selector call that led to it, starting from the outermost. The error object is otherwise left alone, so
+ * its original stack is kept. Errors that already have a selectorStack were annotated further down the chain.
+ *
+ * @param {*} error required
+ * @param {Array} selectorStack required
+ * @param {Boolean} shouldAddToMessage optional
+ */
+const addSelectorStackToError = (error, selectorStack, shouldAddToMessage = false) => {
+  if (!(error instanceof Error) || error.selectorStack) {
+    return;
+  }
+  error.selectorStack = selectorStack; // eslint-disable-line no-param-reassign
+  if (shouldAddToMessage) {
+    error.message = `${error.message}\n  in selector: ${selectorStack.join(' -> ')}`; // eslint-disable-line no-param-reassign
+  }
+};
+
+
+export {
+  CircularDependencyError,
+  addSelectorStackToError,
+};
@@ -68,7 +68,8 @@ const COMPARISON_PRESETS = {
 
 
 /**
- * @TODO: Set up a named-parameter alternative to stringified keys
+ * These turn params into strings, for use with CACHE_PRESETS.STRINGIFIED_KEYS and in debug output.
+ * To avoid stringifying params altogether, use CACHE_PRESETS.NAMED_PARAMS instead.
  */
 const KEY_PRESETS = {
   JSON_STRING: (obj) => {
@@ -92,7 +93,247 @@ const KEY_PRESETS = {
 };
 
 
+/**
+ * Each selector keeps its prior results in a cache object, which is built by calling the `createCache` option
+ * with the selector's options. Any object that offers this interface can be used:
+ *  {
+ *    get(keyParams) => resultRecord,
+ *    set(keyParams, resultRecord),
+ *    delete(keyParams),
+ *    keys() => [keyParams, ...],   // optional
+ *    values() => [resultRecord, ...],   // optional
+ *    clear(),
+ *  }
+ * keys() is what lets invalidateWhere, dehydration and the dependency graph walk every cached result, and values()
+ * lets them do it without looking each one up again. A cache without either (e.g. one built on a WeakMap) still
+ * works, but unless `maxCacheSize` bounds it, those will skip its results.
+ */
+const CACHE_PRESETS = {
+  // This stores each result under the string returned by the `createKeyFromParams` option.
+  STRINGIFIED_KEYS: (options) => {
+    const { createKeyFromParams } = options;
+    const entriesByKey = new Map();
+
+    return {
+      get: (keyParams) => {
+        const entry = entriesByKey.get(createKeyFromParams(keyParams));
+        return entry ? entry.resultRecord : undefined;
+      },
+      set: (keyParams, resultRecord) => {
+        const keyParamsString = createKeyFromParams(keyParams);
+        if (options.warningsEnabled && !entriesByKey.has(keyParamsString)) {
+          if (!keyParamsString) {
+            options.warningsCallback(`${options.displayName} generated an empty keyParamsString`, {
+              keyParams,
+              keyParamsString,
+            });
+          } else if (keyParamsString.length > 100) { // @TODO: Make this value a configurable option
+            options.warningsCallback(`${options.displayName} generated an unusually long keyParamsString`, {
+              keyParams,
+              keyParamsString,
+            });
+          }
+        }
+        entriesByKey.set(keyParamsString, { keyParams, resultRecord });
+      },
+      delete: (keyParams) => {
+        entriesByKey.delete(createKeyFromParams(keyParams));
+      },
+      keys: () => {
+        const allKeyParams = [];
+        entriesByKey.forEach(entry => allKeyParams.push(entry.keyParams));
+        return allKeyParams;
+      },
+      values: () => {
+        const allResultRecords = [];
+        entriesByKey.forEach(entry => allResultRecords.push(entry.resultRecord));
+        return allResultRecords;
+      },
+      clear: () => {
+        entriesByKey.clear();
+      },
+    };
+  },
+
+  // This avoids string keys entirely: when params are a plain object it walks the sorted param names and their
+  // values through a tree of nested Maps, so lookups take one Map.get per name and per value. Any other params
+  // (primitives, arrays, class instances) are used directly as a Map key.
+  // Note that param values are matched by identity: `{ filter: {} }` and `{ filter: {} }` will be cached separately.
+  NAMED_PARAMS: () => {
+    // This marks the spot in the tree where a set of param names ends, so that `{ a: 1 }` and `{ a: 1, b: 2 }`
+    // can share a path without colliding.
+    const END_OF_PARAMS = {};
+    let entriesByNamedParams = new Map();
+    let entriesByOtherParams = new Map();
+    let allEntries = new Set();
+
+    // Returns the Map that holds the entry for these keyParams, and the key for the entry within it.
+    // Along the way, this can create any missing Maps or record the path taken.
+    const walkToEntry = (keyParams, shouldCreateMissingMaps, path) => {
+      if (!isPlainObject(keyParams)) {
+        return [entriesByOtherParams, keyParams];
+      }
+
+      let currentMap = entriesByNamedParams;
+      const stepTo = (pathKey) => {
+        let nextMap = currentMap.get(pathKey);
+        if (!nextMap && shouldCreateMissingMaps) {
+          nextMap = new Map();
+          currentMap.set(pathKey, nextMap);
+        }
+        if (nextMap && path) {
+          path.push([currentMap, pathKey]);
+        }
+        currentMap = nextMap;
+        return !!nextMap;
+      };
+
+      const sortedNames = Object.keys(keyParams).sort();
+      for (let i = 0; i < sortedNames.length; i += 1) {
+        const name = sortedNames[i];
+        if (!stepTo(name) || !stepTo(keyParams[name])) {
+          return [null, null];
+        }
+      }
+      return [currentMap, END_OF_PARAMS];
+    };
+
+    return {
+      get: (keyParams) => {
+        const [entryMap, entryKey] = walkToEntry(keyParams, false);
+        const entry = entryMap && entryMap.get(entryKey);
+        return entry ? entry.resultRecord : undefined;
+      },
+      set: (keyParams, resultRecord) => {
+        const [entryMap, entryKey] = walkToEntry(keyParams, true);
+        allEntries.delete(entryMap.get(entryKey));
+
+        const entry = { keyParams, resultRecord };
+        entryMap.set(entryKey, entry);
+        allEntries.add(entry);
+      },
+      delete: (keyParams) => {
+        const path = [];
+        const [entryMap, entryKey] = walkToEntry(keyParams, false, path);
+        if (entryMap) {
+          allEntries.delete(entryMap.get(entryKey));
+          entryMap.delete(entryKey);
+
+          // Prune any Maps that are now empty, so that the tree doesn't keep growing
+          let emptyMap = entryMap;
+          for (let i = path.length - 1; i >= 0 && !emptyMap.size; i -= 1) {
+            const [parentMap, pathKey] = path[i];
+            parentMap.delete(pathKey);
+            emptyMap = parentMap;
+          }
+        }
+      },
+      keys: () => {
+        const allKeyParams = [];
+        allEntries.forEach(entry => allKeyParams.push(entry.keyParams));
+        return allKeyParams;
+      },
+      values: () => {
+        const allResultRecords = [];
+        allEntries.forEach(entry => allResultRecords.push(entry.resultRecord));
+        return allResultRecords;
+      },
+      clear: () => {
+        entriesByNamedParams = new Map();
+        entriesByOtherParams = new Map();
+        allEntries = new Set();
+      },
+    };
+  },
+};
+
+
+/**
+ * When a selector has a maxCacheSize, an eviction policy decides which of its cached results gets dropped
+ * once the cache grows past that size.
+ *
+ * Each policy receives the Set of resultRecords currently in the cache, ordered from least- to most-recently
+ * used, along with the record that was just added (which must not be evicted). It returns the record to evict, or
+ * nothing if none of them should be.
+ */
+const EVICTION_PRESETS = {
+  LEAST_RECENTLY_USED: (resultRecords, resultRecordToKeep) => {
+    const [leastRecentlyUsed, nextLeastRecentlyUsed] = resultRecords;
+    return leastRecentlyUsed === resultRecordToKeep ? nextLeastRecentlyUsed : leastRecentlyUsed;
+  },
+  LEAST_FREQUENTLY_USED: (resultRecords, resultRecordToKeep) => {
+    // Ties go to whichever was used least recently, since that's the first one we'll encounter.
+    let leastFrequentlyUsed = null;
+    resultRecords.forEach((resultRecord) => {
+      if (resultRecord !== resultRecordToKeep
+        && (!leastFrequentlyUsed || resultRecord.useCount < leastFrequentlyUsed.useCount)
+      ) {
+        leastFrequentlyUsed = resultRecord;
+      }
+    });
+    return leastFrequentlyUsed;
+  },
+};
+
+
+/**
+ * When the state has changed, a selector checks its dependencies to see whether it needs to re-run. These
+ * decide which dependencies get checked:
+ *  - ROOT_FIRST checks the root selectors it depends on, directly or indirectly. Only if one of them changed
+ *    does it check its own (immediate) dependencies, which may have absorbed that change.
+ *  - OWN_ONLY checks its own dependencies, which in turn check theirs.
+ *  - EXHAUSTIVE checks both, and warns if a change in its own dependencies didn't show up in its root
+ *    dependencies. This is only meant for debugging.
+ */
+const DEPENDENCY_CHECK_STRATEGIES = {
+  ROOT_FIRST: 'root-first',
+  OWN_ONLY: 'own-only',
+  EXHAUSTIVE: 'exhaustive',
+};
+
+
+/**
+ * When a selector function throws, these decide what happens the next time it's called:
+ *  - RETRY runs it again, every time, until it stops throwing.
+ *  - CACHE_UNTIL_DEPENDENCIES_CHANGE throws the same error again until the state or some dependency it read
+ *    before throwing changes -- just like a cached return value.
+ *  - FALLBACK_VALUE returns the `fallbackValue` option instead of throwing, and caches that like any other
+ *    return value.
+ */
+const ERROR_POLICIES = {
+  RETRY: 'retry',
+  CACHE_UNTIL_DEPENDENCIES_CHANGE: 'cache-until-dependencies-change',
+  FALLBACK_VALUE: 'fallback-value',
+};
+
+
+/**
+ * Each lifecycle event (onSkippedRun, onPhantomRun, onFullRun, onAbortedRun) says why it happened:
+ *  - STATE_UNCHANGED: The selector was called with the same state as before, so its cached result was reused.
+ *  - DEPENDENCIES_UNCHANGED: None of the selectors it depends on returned anything new.
+ *  - RESULT_EQUIVALENT: It ran, but `compareSelectorResults` matched the result to the previous one.
+ *  - NO_CACHED_RESULT: It had never run with these params (or its result was removed or couldn't be reused.)
+ *  - STATE_CHANGED: The state changed, and it had no dependencies to check -- as for root selectors.
+ *  - DEPENDENCIES_CHANGED: Some selector it depends on returned something new.
+ *  - RUN_NOT_ALLOWED: It needed to run, but its caller only wanted to check the cache.
+ */
+const SELECTOR_EVENT_REASONS = {
+  STATE_UNCHANGED: 'state-unchanged',
+  DEPENDENCIES_UNCHANGED: 'dependencies-unchanged',
+  RESULT_EQUIVALENT: 'result-equivalent',
+  NO_CACHED_RESULT: 'no-cached-result',
+  STATE_CHANGED: 'state-changed',
+  DEPENDENCIES_CHANGED: 'dependencies-changed',
+  RUN_NOT_ALLOWED: 'run-not-allowed',
+};
+
+
 export {
   COMPARISON_PRESETS,
   KEY_PRESETS,
+  CACHE_PRESETS,
+  EVICTION_PRESETS,
+  DEPENDENCY_CHECK_STRATEGIES,
+  ERROR_POLICIES,
+  SELECTOR_EVENT_REASONS,
 };
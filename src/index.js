@@ -1,6 +1,41 @@
 import { defaultInitialOptions } from './defaultOptions';
-import { KEY_PRESETS, COMPARISON_PRESETS } from './helpers';
+import {
+  KEY_PRESETS,
+  COMPARISON_PRESETS,
+  CACHE_PRESETS,
+  EVICTION_PRESETS,
+  DEPENDENCY_CHECK_STRATEGIES,
+  ERROR_POLICIES,
+  SELECTOR_EVENT_REASONS,
+} from './helpers';
 import parameterizedSelectorFactory from './parameterizedSelectorFactory';
+import asyncSelectorFactory, { ASYNC_STATUSES } from './asyncSelectorFactory';
+import invalidateTags from './invalidateTags';
+import { dehydrate, rehydrate } from './dehydration';
+import {
+  getDependencyGraph,
+  dependencyGraphToDOT,
+} from './dependencyGraph';
+import { createSelectorContext, defaultSelectorContext } from './selectorContext';
+import {
+  createSelectorRegistry,
+  defaultSelectorRegistry,
+  getAllSelectors,
+  getSelectorByDisplayName,
+  resetAllCounts,
+  clearAllCaches,
+  getAllGlobalCounts,
+  setGlobalOptions,
+} from './selectorRegistry';
+import { bindSelectorsToStore, createMapStateToProps } from './storeBinding';
+import toReselectInput from './reselectInterop';
+import {
+  startProfiling,
+  stopProfiling,
+  getProfilerReport,
+  profilerReportToTable,
+} from './profiler';
+import { CircularDependencyError } from './errors';
 
 
 // These two functions are set up with defaults that should work well generally.
@@ -10,6 +45,7 @@ import parameterizedSelectorFactory from './parameterizedSelectorFactory';
 
 const createParameterizedRootSelector = parameterizedSelectorFactory.withOptions({
   createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+  createCache: CACHE_PRESETS.STRINGIFIED_KEYS,
   compareIncomingStates: COMPARISON_PRESETS.SAME_REFERENCE,
   compareSelectorResults: COMPARISON_PRESETS.SAME_REFERENCE_OR_EMPTY,
   isRootSelector: true,
@@ -17,6 +53,13 @@ const createParameterizedRootSelector = parameterizedSelectorFactory.withOptions
 
 const createParameterizedSelector = parameterizedSelectorFactory.withOptions({
   createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+  createCache: CACHE_PRESETS.STRINGIFIED_KEYS,
+  isRootSelector: false,
+});
+
+const createParameterizedAsyncSelector = asyncSelectorFactory.withOptions({
+  createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+  createCache: CACHE_PRESETS.STRINGIFIED_KEYS,
   isRootSelector: false,
 });
 
@@ -25,8 +68,39 @@ const createParameterizedSelector = parameterizedSelectorFactory.withOptions({
 export {
   KEY_PRESETS,
   COMPARISON_PRESETS,
+  CACHE_PRESETS,
+  EVICTION_PRESETS,
+  DEPENDENCY_CHECK_STRATEGIES,
+  ERROR_POLICIES,
+  SELECTOR_EVENT_REASONS,
+  ASYNC_STATUSES,
   defaultInitialOptions,
   parameterizedSelectorFactory,
   createParameterizedRootSelector,
   createParameterizedSelector,
+  asyncSelectorFactory,
+  createParameterizedAsyncSelector,
+  invalidateTags,
+  dehydrate,
+  rehydrate,
+  createSelectorContext,
+  defaultSelectorContext,
+  createSelectorRegistry,
+  defaultSelectorRegistry,
+  getAllSelectors,
+  getSelectorByDisplayName,
+  resetAllCounts,
+  clearAllCaches,
+  getAllGlobalCounts,
+  setGlobalOptions,
+  bindSelectorsToStore,
+  createMapStateToProps,
+  toReselectInput,
+  getDependencyGraph,
+  dependencyGraphToDOT,
+  startProfiling,
+  stopProfiling,
+  getProfilerReport,
+  profilerReportToTable,
+  CircularDependencyError,
 };
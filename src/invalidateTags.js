@@ -0,0 +1,63 @@
+import { getAllSelectors } from './selectorRegistry';
+
+
+/**
+ * This drops every cached result, across all selectors, whose params map to any of the given tags via the
+ * selector's `tags` option. Anything that depends on one of those results -- directly or through other
+ * selectors, according to the dependencies each result recorded -- gets dropped as well.
+ *
+ * Returns the number of cached results that were dropped.
+ *
+ * @param {Array} tagsToInvalidate required
+ */
+const invalidateTags = (tagsToInvalidate) => {
+  const tagSet = new Set(tagsToInvalidate);
+  const allSelectors = getAllSelectors();
+  const resultRecordsToRemoveBySelector = new Map();
+  const resultRecordsToRemove = new Set();
+
+  const markForRemoval = (parameterizedSelector, resultRecord) => {
+    if (!resultRecordsToRemoveBySelector.has(parameterizedSelector)) {
+      resultRecordsToRemoveBySelector.set(parameterizedSelector, []);
+    }
+    resultRecordsToRemoveBySelector.get(parameterizedSelector).push(resultRecord);
+    resultRecordsToRemove.add(resultRecord);
+  };
+
+  // First, everything that's tagged directly
+  allSelectors.forEach((parameterizedSelector) => {
+    parameterizedSelector.getCachedResultRecords().forEach((resultRecord) => {
+      const tagsForResult = parameterizedSelector.getTagsForParams(resultRecord.keyParams);
+      if (tagsForResult.some(tag => tagSet.has(tag))) {
+        markForRemoval(parameterizedSelector, resultRecord);
+      }
+    });
+  });
+
+  // Then anything that depends on those, until there's nothing new to find
+  const dependsOnRemovedResult = ([dependencySelector, dependencyKeyParams]) => resultRecordsToRemove.has(
+    dependencySelector.getCachedResultRecord(dependencyKeyParams),
+  );
+  let hasFoundNewDependents = resultRecordsToRemove.size > 0;
+  while (hasFoundNewDependents) {
+    hasFoundNewDependents = false;
+    allSelectors.forEach((parameterizedSelector) => { // eslint-disable-line no-loop-func
+      parameterizedSelector.getCachedResultRecords().forEach((resultRecord) => {
+        if (!resultRecordsToRemove.has(resultRecord)
+          && resultRecord.ownDependencies.some(dependsOnRemovedResult)
+        ) {
+          markForRemoval(parameterizedSelector, resultRecord);
+          hasFoundNewDependents = true;
+        }
+      });
+    });
+  }
+
+  resultRecordsToRemoveBySelector.forEach((resultRecordsForSelector, parameterizedSelector) => {
+    parameterizedSelector.removeCachedResultRecords(resultRecordsForSelector);
+  });
+  return resultRecordsToRemove.size;
+};
+
+
+export default invalidateTags;
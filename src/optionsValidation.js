@@ -0,0 +1,156 @@
+import { defaultOptions, runtimeOptionNames } from './defaultOptions';
+import { ERROR_POLICIES } from './helpers';
+
+
+/**
+ * The type of each option comes from its default value, except for these: their defaults are either null or a
+ * placeholder that throws if the option isn't set. A type of null means that anything goes.
+ */
+const OPTION_TYPE_OVERRIDES = {
+  isRootSelector: 'boolean',
+  maxCacheSize: 'number',
+  tags: 'function',
+  fallbackValue: null,
+  registry: 'object',
+  displayName: 'string',
+  onInvoke: 'function',
+  onSkippedRun: 'function',
+  onPhantomRun: 'function',
+  onFullRun: 'function',
+  onAbortedRun: 'function',
+};
+
+/**
+ * Format: {
+ *    [optionName]: { type, isNullable },
+ *  }
+ */
+const optionsSchema = {};
+Object.keys(defaultOptions).forEach((optionName) => {
+  const defaultValue = defaultOptions[optionName];
+  optionsSchema[optionName] = {
+    type: Object.prototype.hasOwnProperty.call(OPTION_TYPE_OVERRIDES, optionName)
+      ? OPTION_TYPE_OVERRIDES[optionName]
+      : typeof defaultValue,
+    isNullable: defaultValue === null,
+  };
+});
+
+
+// This is the number of single-character edits it takes to turn one string into the other (Levenshtein distance)
+const getEditDistance = (string, otherString) => {
+  let previousRow = Array.from({ length: otherString.length + 1 }, (value, index) => index);
+  for (let i = 0; i < string.length; i += 1) {
+    const row = [i + 1];
+    for (let j = 0; j < otherString.length; j += 1) {
+      row.push(Math.min(
+        row[j] + 1,
+        previousRow[j + 1] + 1,
+        previousRow[j] + (string[i] === otherString[j] ? 0 : 1),
+      ));
+    }
+    previousRow = row;
+  }
+  return previousRow[otherString.length];
+};
+
+// For an unrecognized option, this finds the option that was most likely meant, if any
+const getSuggestedOptionName = (optionName) => {
+  let suggestedOptionName = null;
+  let suggestedEditDistance = 3;
+  Object.keys(optionsSchema).forEach((knownOptionName) => {
+    const editDistance = knownOptionName.toLowerCase() === optionName.toLowerCase()
+      ? 0
+      : getEditDistance(knownOptionName, optionName);
+    if (editDistance < suggestedEditDistance) {
+      suggestedOptionName = knownOptionName;
+      suggestedEditDistance = editDistance;
+    }
+  });
+  return suggestedOptionName;
+};
+
+const getValueType = value => (value === null ? 'null' : typeof value);
+
+
+/**
+ * This checks the options a selector was created with, and returns a list of problems as
+ * [warningMessage, details] pairs, to pass along to its warningsCallback. Only options that were given explicitly
+ * (including through `withOptions`) are checked: the defaults are assumed to be fine.
+ *
+ * Options whose values are checked as the selector is being set up, like dependencyCheckStrategy and
+ * maxCacheSize, aren't repeated here.
+ *
+ * @param {Object} overrideOptions required
+ * @param {Object} options required
+ */
+const validateOptions = (overrideOptions, options) => {
+  const problems = [];
+
+  Object.keys(overrideOptions).forEach((optionName) => {
+    const value = overrideOptions[optionName];
+    if (!Object.prototype.hasOwnProperty.call(optionsSchema, optionName)) {
+      const suggestedOptionName = getSuggestedOptionName(optionName);
+      problems.push([
+        `was given an unrecognized option "${optionName}"${suggestedOptionName ? `: did you mean "${suggestedOptionName}"?` : ''}`,
+        { [optionName]: value },
+      ]);
+    } else {
+      const { type, isNullable } = optionsSchema[optionName];
+      const isNullValue = value === null || value === undefined;
+      if (type && !(isNullable && isNullValue) && getValueType(value) !== type) {
+        problems.push([`was given the wrong type for the option "${optionName}": expected ${type}, got ${getValueType(value)}`, {
+          [optionName]: value,
+        }]);
+      }
+    }
+  });
+
+  const wasGiven = optionName => Object.prototype.hasOwnProperty.call(overrideOptions, optionName);
+  if (options.isRootSelector && options.hasStaticDependencies) {
+    problems.push(['has hasStaticDependencies set, but root selectors never have dependencies', {
+      hasStaticDependencies: options.hasStaticDependencies,
+    }]);
+  }
+  if (!options.isRootSelector && wasGiven('compareIncomingStates')) {
+    problems.push(['was given compareIncomingStates, but only root selectors use it', {
+      compareIncomingStates: options.compareIncomingStates,
+    }]);
+  }
+  if (wasGiven('fallbackValue') && options.errorPolicy !== ERROR_POLICIES.FALLBACK_VALUE) {
+    problems.push([`was given a fallbackValue, but it's only used with the "${ERROR_POLICIES.FALLBACK_VALUE}" errorPolicy`, {
+      errorPolicy: options.errorPolicy,
+    }]);
+  }
+  if (wasGiven('evictionPolicy') && options.maxCacheSize === null) {
+    problems.push(['was given an evictionPolicy, but it has no maxCacheSize so nothing will be evicted', {
+      evictionPolicy: options.evictionPolicy,
+    }]);
+  }
+
+  return problems;
+};
+
+/**
+ * Options can only be changed after a selector is created if they're among the "settable anytime" ones in
+ * ./defaultOptions.js. This throws if any of the given options aren't, before anything gets changed.
+ *
+ * @param {Object} runtimeOptions required
+ * @param {String} description required
+ */
+const assertRuntimeOptions = (runtimeOptions, description) => {
+  const optionNames = Object.keys(runtimeOptions);
+  const unrecognizedOptionNames = optionNames
+    .filter(optionName => !Object.prototype.hasOwnProperty.call(optionsSchema, optionName));
+  if (unrecognizedOptionNames.length) {
+    throw new Error(`${description} was given unrecognized options: ${unrecognizedOptionNames.join(', ')}`);
+  }
+  const initOnlyOptionNames = optionNames.filter(optionName => runtimeOptionNames.indexOf(optionName) === -1);
+  if (initOnlyOptionNames.length) {
+    throw new Error(`${description} can't change options that are only settable at initialization: ${initOnlyOptionNames.join(', ')}`);
+  }
+};
+
+
+export default validateOptions;
+export { assertRuntimeOptions };
@@ -1,21 +1,59 @@
-import { defaultOptions } from './defaultOptions';
+import { defaultOptions, isDevMode } from './defaultOptions';
+import { getDependencyGraphForParams } from './dependencyGraph';
+import { CircularDependencyError, addSelectorStackToError } from './errors';
+import {
+  DEPENDENCY_CHECK_STRATEGIES,
+  ERROR_POLICIES,
+  KEY_PRESETS,
+  SELECTOR_EVENT_REASONS,
+} from './helpers';
+import validateOptions, { assertRuntimeOptions } from './optionsValidation';
+import {
+  PROFILER_FRAME_TYPES,
+  getTimestamp,
+  startProfilerFrame,
+  endProfilerFrame,
+} from './profiler';
+import { getActiveContext } from './selectorContext';
+import { registerSelector, updateSelectorDisplayName, unregisterSelector } from './selectorRegistry';
+import subscribeToSelector from './subscribe';
 
 
 /**
- * When any parameterizedSelector is run, we'll add it to this stack so that *other* parameterizedSelectors
+ * When any parameterizedSelector is run, we'll add it to a stack so that *other* parameterizedSelectors
  * can register themselves as dependencies for it. This let us know which dependencies to dirty-check
  * the next time it runs.
  *
- * This single instance is used forever across all selectors.
+ * Each selector context has its own stack, which is shared by all selectors running in that context.
  */
-const parameterizedSelectorCallStack = [];
+const getCallStack = () => getActiveContext().callStack;
 
-const getTopCallStackEntry = () => parameterizedSelectorCallStack.length
-  && parameterizedSelectorCallStack[parameterizedSelectorCallStack.length - 1];
+const getTopCallStackEntry = () => {
+  const parameterizedSelectorCallStack = getCallStack();
+  return parameterizedSelectorCallStack.length
+    && parameterizedSelectorCallStack[parameterizedSelectorCallStack.length - 1];
+};
 
 /**
  * For performance, this function ensures all entries on the call stack have the same shape.
  * `state` and `hasStaticDependencies` are mandatory for each call.
+ *
+ * Entries for a selector's own run, or for checking its dependencies, also note the `parameterizedSelector` and
+ * `keyParams`, so that we can tell when a selector ends up calling itself and who called whom.
+ *
+ * If `reusesDependencies` is set, the entry's dependency lists were frozen by an earlier run: each child
+ * selector checks the tuple at `ownDependencyIndex` instead of adding a new one (replacing it if its value
+ * changed), and flags `hasDependencyMismatch` if that tuple isn't its own. Those lists are passed in, so no
+ * new ones are created for the entry.
+ *
+ * When a child selector throws to its caller, it notes the error as `errorFromChild`, so that the caller won't
+ * report it a second time.
+ *
+ * `hasUncoveredDependencies` is set when a dependency is recorded whose own root dependencies never reached this
+ * entry -- e.g., one that couldn't run -- so that its rootDependencies alone can't tell whether anything changed.
+ *
+ * `isPrefetch` marks the entries under `precompute`, so that the selectors it runs (and their dependencies) get
+ * counted as prefetched runs instead of the usual kinds.
  */
 const pushCallStackEntry = (state, hasStaticDependencies, overrideValues = {}) => {
   const topOfCallStack = getTopCallStackEntry();
@@ -23,19 +61,69 @@ const pushCallStackEntry = (state, hasStaticDependencies, overrideValues = {}) =
   const callStackEntry = {
     state,
     hasStaticDependencies,
-    rootDependencies: [],
-    ownDependencies: [],
+    parameterizedSelector: null,
+    keyParams: null,
+    rootDependencies: overrideValues.rootDependencies || [],
+    ownDependencies: overrideValues.ownDependencies || [],
     canReRun: topOfCallStack ? topOfCallStack.canReRun : true,
     shouldRecordDependencies: true,
-    ...overrideValues,
+    reusesDependencies: false,
+    ownDependencyIndex: 0,
+    hasDependencyMismatch: false,
+    errorFromChild: null,
+    hasUncoveredDependencies: false,
+    isPrefetch: topOfCallStack ? topOfCallStack.isPrefetch : false,
   };
-  // @TODO: Warn if given any unrecognized or deprecated values
+  if (isDevMode) {
+    // Entries are only ever created here, so anything unrecognized is a bug in this library
+    const unrecognizedValueNames = Object.keys(overrideValues).filter(valueName => !(valueName in callStackEntry));
+    if (unrecognizedValueNames.length) {
+      throw new Error(`parameterizedSelector: unrecognized call stack values: ${unrecognizedValueNames.join(', ')}`);
+    }
+  }
+  Object.assign(callStackEntry, overrideValues);
 
-  parameterizedSelectorCallStack.push(callStackEntry);
+  getCallStack().push(callStackEntry);
   return callStackEntry;
 };
 
-const popCallStackEntry = () => parameterizedSelectorCallStack.pop();
+const popCallStackEntry = () => getCallStack().pop();
+
+/**
+ * This gives the state that the innermost running selector was called with, or undefined if no selector is
+ * running. Like directRunFromParent, it shouldn't be called from outside this library (and tests).
+ */
+const getStateForCurrentCall = () => {
+  const topOfCallStack = getTopCallStackEntry();
+  return topOfCallStack ? topOfCallStack.state : undefined;
+};
+
+const describeCall = (parameterizedSelector, keyParams) => (
+  `${parameterizedSelector.displayName}(${parameterizedSelector.createKeyFromParams(keyParams)})`
+);
+
+/**
+ * This describes each selector call that led to the current one, starting from the outermost.
+ */
+const getCallPath = () => getCallStack()
+  .filter(callStackEntry => callStackEntry.parameterizedSelector)
+  .map(callStackEntry => describeCall(callStackEntry.parameterizedSelector, callStackEntry.keyParams));
+
+
+/**
+ * Whenever any cached result is explicitly invalidated, its context's cacheInvalidationCount goes up. Each
+ * resultRecord notes what it was when the result was last confirmed: if it's gone up since then, the result
+ * may depend on something that was invalidated (see hasInvalidatedDependency), so we can't trust it just
+ * because the state hasn't changed.
+ */
+const getCacheInvalidationCount = () => getActiveContext().cacheInvalidationCount;
+
+const incrementCacheInvalidationCount = () => {
+  const context = getActiveContext();
+  context.cacheInvalidationCount += 1;
+  // This lets subscribers know to check their selectors again (see subscribe.js)
+  context.notifyInvalidation();
+};
 
 
 /**
@@ -45,6 +133,7 @@ const popCallStackEntry = () => parameterizedSelectorCallStack.pop();
 const createResultRecord = (state, previousResult = {}, overrideValues = {}) => {
   const result = {
     state,
+    keyParams: previousResult.keyParams,
     rootDependencies: previousResult.rootDependencies || [],
     ownDependencies: previousResult.ownDependencies || [],
     hasReturnValue: false,
@@ -56,34 +145,94 @@ const createResultRecord = (state, previousResult = {}, overrideValues = {}) =>
     phantomRunCount: previousResult.phantomRunCount || 0,
     fullRunCount: previousResult.fullRunCount || 0,
     abortedRunCount: previousResult.abortedRunCount || 0,
+    prefetchedRunCount: previousResult.prefetchedRunCount || 0,
+    prefetchHitCount: previousResult.prefetchHitCount || 0,
+    // This is set when precompute produced or confirmed the result, until it's used
+    isPrefetched: false,
+    // This one is always tracked, since eviction policies may rely on it
+    useCount: previousResult.useCount || 0,
+    cacheInvalidationCount: getCacheInvalidationCount(),
+    hasFrozenDependencies: previousResult.hasFrozenDependencies || false,
+    // For frozen dependencies, the result records behind the rootDependencies (see refreshRootDependencyValues)
+    resolvedRootDependencies: previousResult.resolvedRootDependencies || null,
+    // This is set once the record is evicted, invalidated or replaced
+    isRemovedFromCache: false,
+    // Whether the rootDependencies miss something that the ownDependencies rely on (see pushCallStackEntry)
+    hasUncoveredDependencies: previousResult.hasUncoveredDependencies || false,
     ...overrideValues,
   };
   return result;
 };
 
 
+/**
+ * A dependency that threw is recorded with its error in place of its return value, so that an error which is
+ * still cached counts as unchanged.
+ */
+const getDependencyValue = result => (result.hasReturnValue ? result.returnValue : result.error);
+
+/**
+ * While selectMany is running, every dependency check against its state goes through here, so that a dependency
+ * which many of the results have in common only gets called once. Format: {
+ *    state,
+ *    cacheInvalidationCount,
+ *    checkedResultRecords: WeakSet [
+ *      resultRecord,
+ *      ...
+ *    ],
+ *  }
+ *
+ * Once a dependency has been checked, its cached result is noted so that the next check can just look it up in
+ * the dependency's own cache. A result is only shared while the state is the same and nothing has been
+ * invalidated, and only if the dependency could actually run.
+ */
+const createSharedDependencyResults = (state, cacheInvalidationCount) => ({
+  state,
+  cacheInvalidationCount,
+  checkedResultRecords: new WeakSet(),
+});
+
+const runDependencyForCheck = (state, dependencySelector, dependencyKeyParams, additionalArgs) => {
+  const { sharedDependencyResults, cacheInvalidationCount } = getActiveContext();
+  if (!sharedDependencyResults || sharedDependencyResults.state !== state || additionalArgs.length
+    || sharedDependencyResults.cacheInvalidationCount !== cacheInvalidationCount
+  ) {
+    return dependencySelector.directRunFromParent(state, dependencyKeyParams, ...additionalArgs);
+  }
+
+  const { checkedResultRecords } = sharedDependencyResults;
+  const cachedResult = dependencySelector.getCachedResultRecord(dependencyKeyParams);
+  if (cachedResult && checkedResultRecords.has(cachedResult)) {
+    return cachedResult;
+  }
+
+  const result = dependencySelector.directRunFromParent(state, dependencyKeyParams);
+  if ((result.hasReturnValue || result.error)
+    && sharedDependencyResults.cacheInvalidationCount === getCacheInvalidationCount()
+    && dependencySelector.getCachedResultRecord(dependencyKeyParams) === result
+  ) {
+    checkedResultRecords.add(result);
+  }
+  return result;
+};
+
 const hasAnyDependencyChanged = (state, dependencyList, options, loggingPrefix, additionalArgs = []) => {
   const dependencyListLength = dependencyList.length;
   for (let i = 0; i < dependencyListLength; i += 1) {
     const [dependencySelector, dependencyKeyParams, dependencyReturnValue] = dependencyList[i];
 
     // Does our dependency have anything new?
-    const result = dependencySelector.directRunFromParent(state, dependencyKeyParams, ...additionalArgs);
+    const result = runDependencyForCheck(state, dependencySelector, dependencyKeyParams, additionalArgs);
     // The selector function itself returns some additional metadata alongside the returnValue,
     // to cover exceptions and edge cases like not being able to run.
-    const {
-      hasReturnValue,
-      returnValue: newReturnValue,
-    } = result;
-
-    if (!hasReturnValue) {
+    if (!result.hasReturnValue && !result.error) {
       if (options.verboseLoggingEnabled) {
         const dependencyKeyParamString = dependencySelector.createKeyFromParams(dependencyKeyParams);
         options.verboseLoggingCallback(`${loggingPrefix} is dirty: "${dependencySelector.displayName}(${dependencyKeyParamString})" could not run.`);
       }
       return true;
     }
-    if (newReturnValue !== dependencyReturnValue) {
+    if (getDependencyValue(result) !== dependencyReturnValue) {
       if (options.verboseLoggingEnabled) {
         const dependencyKeyParamString = dependencySelector.createKeyFromParams(dependencyKeyParams);
         options.verboseLoggingCallback(`${loggingPrefix} is dirty: "${dependencySelector.displayName}(${dependencyKeyParamString})" returned a new value.`);
@@ -95,6 +244,93 @@ const hasAnyDependencyChanged = (state, dependencyList, options, loggingPrefix,
 };
 
 
+/**
+ * When a selector with static dependencies reuses its frozen dependency lists, only its own dependencies
+ * get updated as it runs: the root dependencies of its descendants don't reach it. So afterwards we pull
+ * their values from their result records, where they were just confirmed or updated.
+ *
+ * Those records are looked up in the cache on the first run, and kept for the later ones. A record is only
+ * looked up again once it's left the cache, or after anything was invalidated (since clearCache can't always
+ * mark the records it drops).
+ */
+const refreshRootDependencyValues = (resultRecord) => {
+  const { rootDependencies } = resultRecord;
+  const rootDependenciesLength = rootDependencies.length;
+  const cacheInvalidationCount = getCacheInvalidationCount();
+  let { resolvedRootDependencies } = resultRecord;
+  if (!resolvedRootDependencies || resolvedRootDependencies.cacheInvalidationCount !== cacheInvalidationCount) {
+    resolvedRootDependencies = {
+      cacheInvalidationCount,
+      resultRecords: new Array(rootDependenciesLength).fill(null),
+    };
+    resultRecord.resolvedRootDependencies = resolvedRootDependencies; // eslint-disable-line no-param-reassign
+  }
+
+  const { resultRecords } = resolvedRootDependencies;
+  for (let i = 0; i < rootDependenciesLength; i += 1) {
+    const [dependencySelector, dependencyKeyParams, dependencyReturnValue] = rootDependencies[i];
+    let dependencyResultRecord = resultRecords[i];
+    if (!dependencyResultRecord || dependencyResultRecord.isRemovedFromCache) {
+      dependencyResultRecord = dependencySelector.getCachedResultRecord(dependencyKeyParams) || null;
+      resultRecords[i] = dependencyResultRecord;
+    }
+    if (dependencyResultRecord && dependencyResultRecord.hasReturnValue
+      && dependencyResultRecord.returnValue !== dependencyReturnValue
+    ) {
+      rootDependencies[i] = [dependencySelector, dependencyKeyParams, dependencyResultRecord.returnValue];
+    }
+  }
+};
+
+/**
+ * This looks through the cache -- without running anything -- for any result that the given dependencies
+ * relied on, directly or indirectly, which has since been removed or replaced with a different value. Only a
+ * result that can reach an invalidated one this way needs to check its dependencies when the state is the same.
+ * Results that were confirmed for this state since the last invalidation are known to be current.
+ */
+const hasInvalidatedDependency = (state, dependencyList, visitedResultRecords = new Set()) => {
+  const dependencyListLength = dependencyList.length;
+  for (let i = 0; i < dependencyListLength; i += 1) {
+    const [dependencySelector, dependencyKeyParams, dependencyReturnValue] = dependencyList[i];
+    const dependencyResultRecord = dependencySelector.getCachedResultRecord(dependencyKeyParams);
+    if (!dependencyResultRecord || (!dependencyResultRecord.hasReturnValue && !dependencyResultRecord.error)
+      || getDependencyValue(dependencyResultRecord) !== dependencyReturnValue
+    ) {
+      return true;
+    }
+    const isConfirmedForState = dependencyResultRecord.state === state
+      && dependencyResultRecord.cacheInvalidationCount === getCacheInvalidationCount();
+    if (!isConfirmedForState && !visitedResultRecords.has(dependencyResultRecord)) {
+      visitedResultRecords.add(dependencyResultRecord);
+      if (hasInvalidatedDependency(state, dependencyResultRecord.ownDependencies, visitedResultRecords)) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+const isSameDependency = ([dependencySelector, dependencyKeyParams], [otherSelector, otherKeyParams]) => (
+  dependencySelector === otherSelector
+  && dependencySelector.createKeyFromParams(dependencyKeyParams) === otherSelector.createKeyFromParams(otherKeyParams)
+);
+
+const haveSameDependencies = (dependencyList, otherDependencyList) => (
+  dependencyList.length === otherDependencyList.length
+  && dependencyList.every((dependency, index) => isSameDependency(dependency, otherDependencyList[index]))
+);
+
+
+/**
+ * selectMany keeps the arrays it returns, so that it can return the same one again while nothing in it has
+ * changed. Each cached result holds onto at most this many of them: those that start with its params.
+ */
+const MAX_RETURN_VALUE_LISTS_PER_RESULT = 4;
+
+// An empty list of params always gives back this same array
+const EMPTY_RETURN_VALUES = Object.freeze([]);
+
+
 /**
  * Each selector needs a unique displayName. We'll pull that from options or the innerFn if possible,
  * but if we have to fall back to raw numbers we'll use this counter to keep them distinct.
@@ -115,7 +351,6 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
     ...defaultOptions,
     ...overrideOptions,
   };
-  // @TODO: Warn if given any unrecognized or deprecated options
 
   if (!options.displayName) {
     const functionDisplayName = innerFn.displayName || innerFn.name;
@@ -126,6 +361,11 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
       options.displayName = `${options.displayNamePrefix}(#${numUnnamedSelectors})`;
     }
   }
+  if (options.optionsValidationEnabled && options.warningsEnabled) {
+    validateOptions(overrideOptions, options).forEach(([warningMessage, details]) => {
+      options.warningsCallback(`${options.displayName} ${warningMessage}`, details);
+    });
+  }
   if (options.verboseLoggingEnabled) {
     options.verboseLoggingCallback(`Creating parameterized selector: "${options.displayName}"`, options);
   }
@@ -133,20 +373,65 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
   // These options cannot be changed later
   const {
     createKeyFromParams,
+    createCache,
     compareIncomingStates,
     compareSelectorResults,
     isRootSelector,
     hasStaticDependencies,
+    dependencyCheckStrategy,
+    maxCacheSize,
+    evictionPolicy,
+    tags,
+    errorPolicy,
   } = options;
 
+  // Caches like NAMED_PARAMS don't need a createKeyFromParams: without one, params are stringified this way
+  // whenever something displays them.
+  const describeKeyParams = createKeyFromParams === defaultOptions.createKeyFromParams
+    ? KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS
+    : createKeyFromParams;
+
+  if (options.warningsEnabled && !Object.keys(DEPENDENCY_CHECK_STRATEGIES)
+    .some(strategyName => DEPENDENCY_CHECK_STRATEGIES[strategyName] === dependencyCheckStrategy)
+  ) {
+    options.warningsCallback(`${options.displayName} was given an unrecognized dependencyCheckStrategy: it will use "${DEPENDENCY_CHECK_STRATEGIES.ROOT_FIRST}"`, {
+      dependencyCheckStrategy,
+    });
+  }
+
+  if (options.warningsEnabled && !Object.keys(ERROR_POLICIES)
+    .some(policyName => ERROR_POLICIES[policyName] === errorPolicy)
+  ) {
+    options.warningsCallback(`${options.displayName} was given an unrecognized errorPolicy: it will use "${ERROR_POLICIES.RETRY}"`, {
+      errorPolicy,
+    });
+  }
+
+  // Anything other than a positive integer leaves the cache unbounded
+  const isCacheBounded = Number.isInteger(maxCacheSize) && maxCacheSize > 0;
+  if (options.warningsEnabled && maxCacheSize !== null && !isCacheBounded) {
+    options.warningsCallback(`${options.displayName} was given an invalid maxCacheSize: it must be a positive integer, so the cache will be unbounded`, {
+      maxCacheSize,
+    });
+  }
+
   /**
-   * This is where we'll maintain a stash of prior inputs and results.
-   * Format: {
-   *    [keyParamsString]: resultRecord,
+   * Everything the selector accumulates as it runs lives in a selectorInstance, and each selector context
+   * has its own. The selectorInstance for whichever context is active is looked up at the start of each call.
+   *
+   * previousResultsByParam is where we'll maintain a stash of prior inputs and results. It's a cache object
+   * built by the `createCache` option (see CACHE_PRESETS), with the interface: {
+   *    get(keyParams) => resultRecord,
+   *    set(keyParams, resultRecord),
+   *    delete(keyParams),
+   *    keys() => [keyParams, ...],   // optional: see getAllResultRecords
+   *    values() => [resultRecord, ...],   // optional
+   *    clear(),
    *  }
    *
    *  where each resultRecord looks like: {
    *    state,
+   *    keyParams,
    *    rootDependencies: [
    *      [parameterizedSelector, keyParams, returnValue],
    *      ...
@@ -163,23 +448,268 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
    *    phantomRunCount,
    *    fullRunCount,
    *    abortedRunCount,
+   *    useCount,
+   *    cacheInvalidationCount,
+   *    hasFrozenDependencies,
+   *    resolvedRootDependencies,
+   *    isRemovedFromCache,
    *  }
-   */
-  const previousResultsByParam = {};
-
-  /**
-   * Here we can track the number of recomputations due to cache misses, state changes, param changes etc,
+   *
+   * Dependency tuples may be shared between several lists, so they're never changed: a frozen list that needs a
+   * new value gets a new tuple.
+   *
+   * If the cache is bounded, resultRecordsByRecency tracks every resultRecord that's currently in
+   * previousResultsByParam, ordered from least- to most-recently used, so that the evictionPolicy can choose
+   * which to drop.
+   *
+   * The global counts track the number of recomputations due to cache misses, state changes, param changes etc,
    * and the number of times the selector was ever called (regardless of whether it recomputed.)
    * This is primarily used for performance and unit-testing purposes.
    *
    * Note that these counts apply across ALL params for the selector. There is a separate set of per-param
    * counters, tracked in the previousResults.
+   *
+   * frozenDependencyRunCount counts the runs that could reuse frozen dependencies, so that every
+   * `staticDependencyCheckInterval`th one can be sampled.
+   *
+   * returnValueListsByResultRecord holds the arrays recently returned by selectMany, so that one can be returned
+   * again if none of its elements have changed. Each array is kept with the resultRecords it came from, and
+   * belongs to the first of them -- so it goes away along with that one -- in a list like: [
+   *    { resultRecords, returnValues },
+   *    ...
+   *  ]
+   * ordered from most- to least-recently used, and capped at MAX_RETURN_VALUE_LISTS_PER_RESULT.
    */
-  let globalInvokeCount = 0;
-  let globalSkippedRunCount = 0;
-  let globalPhantomRunCount = 0;
-  let globalFullRunCount = 0;
-  let globalAbortedRunCount = 0;
+  const createSelectorInstance = () => ({
+    previousResultsByParam: createCache(options),
+    resultRecordsByRecency: isCacheBounded ? new Set() : null,
+    globalInvokeCount: 0,
+    globalSkippedRunCount: 0,
+    globalPhantomRunCount: 0,
+    globalFullRunCount: 0,
+    globalAbortedRunCount: 0,
+    globalEvictionCount: 0,
+    globalPrefetchedRunCount: 0,
+    globalPrefetchHitCount: 0,
+    frozenDependencyRunCount: 0,
+    returnValueListsByResultRecord: new WeakMap(),
+  });
+
+  // This is the selector function that gets returned (see below). Everything in between refers to it, but only
+  // calls it once it exists.
+  let parameterizedSelector;
+
+  // This looks the instance up every time: remembering the last one would keep its context alive after the
+  // caller is done with it (e.g. a context per server-side request).
+  const getSelectorInstance = () => (
+    getActiveContext().getSelectorInstance(parameterizedSelector, createSelectorInstance)
+  );
+
+
+  /**
+   * Every cache hit or cache write goes through here, so that bounded caches know what's been used recently.
+   */
+  const markResultRecordUsed = (selectorInstance, resultRecord) => {
+    const { resultRecordsByRecency } = selectorInstance;
+    resultRecord.useCount += 1; // eslint-disable-line no-param-reassign
+    if (resultRecordsByRecency) {
+      // Re-adding moves it to the end of the Set
+      resultRecordsByRecency.delete(resultRecord);
+      resultRecordsByRecency.add(resultRecord);
+    }
+  };
+
+  // Once a resultRecord is gone, so are the selectMany arrays that belong to it
+  const removeReturnValueLists = (selectorInstance, resultRecord) => {
+    selectorInstance.returnValueListsByResultRecord.delete(resultRecord);
+  };
+
+  /**
+   * All removals from previousResultsByParam go through here. Any parent selector that still references a
+   * removed entry in its dependencies will simply see a cache miss when it next checks that dependency.
+   */
+  const removeResultRecord = (selectorInstance, resultRecord) => {
+    const { previousResultsByParam, resultRecordsByRecency } = selectorInstance;
+    previousResultsByParam.delete(resultRecord.keyParams);
+    resultRecord.isRemovedFromCache = true; // eslint-disable-line no-param-reassign
+    if (resultRecordsByRecency) {
+      resultRecordsByRecency.delete(resultRecord);
+    }
+    removeReturnValueLists(selectorInstance, resultRecord);
+    const { onCachedResultRecordRemoved } = parameterizedSelector;
+    if (onCachedResultRecordRemoved) {
+      onCachedResultRecordRemoved(resultRecord);
+    }
+  };
+
+  /**
+   * All writes to previousResultsByParam go through here. If that pushes the cache past maxCacheSize, the
+   * evictionPolicy picks entries to drop.
+   */
+  const storeResultRecord = (selectorInstance, keyParams, resultRecord, replacedResultRecord) => {
+    const { previousResultsByParam, resultRecordsByRecency } = selectorInstance;
+    previousResultsByParam.set(keyParams, resultRecord);
+    if (resultRecordsByRecency) {
+      resultRecordsByRecency.delete(replacedResultRecord);
+    }
+    if (replacedResultRecord && replacedResultRecord !== resultRecord) {
+      replacedResultRecord.isRemovedFromCache = true; // eslint-disable-line no-param-reassign
+      removeReturnValueLists(selectorInstance, replacedResultRecord);
+    }
+    markResultRecordUsed(selectorInstance, resultRecord);
+
+    while (resultRecordsByRecency && resultRecordsByRecency.size > maxCacheSize) {
+      const resultRecordToEvict = evictionPolicy(resultRecordsByRecency, resultRecord);
+      if (!resultRecordToEvict) {
+        // The cache stays too big until the evictionPolicy finds something to drop
+        break;
+      }
+      removeResultRecord(selectorInstance, resultRecordToEvict);
+
+      if (options.verboseLoggingEnabled) {
+        options.verboseLoggingCallback(`Parameterized selector "${options.displayName}" evicted a cached result`, resultRecordToEvict);
+      }
+      if (options.performanceChecksEnabled) {
+        selectorInstance.globalEvictionCount += 1; // eslint-disable-line no-param-reassign
+      }
+    }
+  };
+
+  /**
+   * Anything that goes through every cached result -- like invalidateWhere, resetCounts, dehydrate, invalidateTags
+   * and the dependency graph -- gets them from here. If the cache can list its results directly, that saves looking
+   * up each of its keys. It doesn't have to be able to list anything, though (e.g. one built on a WeakMap). Without
+   * keys(), a bounded cache's results are still listed in resultRecordsByRecency; otherwise there's no way to reach
+   * them, so they're skipped with a warning.
+   */
+  let hasWarnedAboutUnlistedResults = false;
+  const getAllResultRecords = (selectorInstance) => {
+    const { previousResultsByParam, resultRecordsByRecency } = selectorInstance;
+    if (typeof previousResultsByParam.values === 'function') {
+      return previousResultsByParam.values();
+    }
+    if (typeof previousResultsByParam.keys === 'function') {
+      return previousResultsByParam.keys().map(keyParams => previousResultsByParam.get(keyParams));
+    }
+    if (resultRecordsByRecency) {
+      return Array.from(resultRecordsByRecency);
+    }
+    if (options.warningsEnabled && !hasWarnedAboutUnlistedResults) {
+      hasWarnedAboutUnlistedResults = true;
+      options.warningsCallback(`${options.displayName} has a cache without keys(), so anything that goes through all of its cached results will skip them`, {
+        previousResultsByParam,
+      });
+    }
+    return [];
+  };
+
+  /**
+   * Stringifying the keyParams isn't always cheap, so this is only done when something will display it.
+   */
+  const getLoggingPrefix = keyParams => `Parameterized selector "${options.displayName}(${describeKeyParams(keyParams)})"`;
+
+
+  /**
+   * Each of the lifecycle callbacks (onInvoke, onSkippedRun, onPhantomRun, onFullRun, onAbortedRun) receives an
+   * event like: {
+   *    type,                 // 'invoke', 'skippedRun', 'phantomRun', 'fullRun' or 'abortedRun'
+   *    selector,
+   *    displayName,
+   *    keyParams,
+   *    keyParamsString,
+   *    state,
+   *    previousReturnValue,  // From the cached result, if there was one
+   *    returnValue,          // For skipped, phantom and full runs: a phantom run's is the one it discarded
+   *    reason,               // One of SELECTOR_EVENT_REASONS, or null for onInvoke
+   *    duration,             // Milliseconds since the selector was invoked
+   *    parentSelector,       // The selector that called this one, or null if it was called from outside
+   *    parentKeyParams,
+   *  }
+   *
+   * If a callback throws, its error is reported through the exceptionCallback instead of getting in the way of
+   * the selector.
+   */
+  const callEventCallback = (eventCallback, type, eventValues) => {
+    const {
+      state,
+      keyParams,
+      previousResult,
+      parentCaller,
+      startTime,
+      ...otherValues
+    } = eventValues;
+    try {
+      eventCallback({
+        type,
+        selector: parameterizedSelector,
+        displayName: options.displayName,
+        keyParams,
+        keyParamsString: describeKeyParams(keyParams),
+        state,
+        previousReturnValue: (previousResult && previousResult.hasReturnValue) ? previousResult.returnValue : undefined,
+        returnValue: undefined,
+        reason: null,
+        duration: getTimestamp() - startTime,
+        parentSelector: (parentCaller && parentCaller.parameterizedSelector) || null,
+        parentKeyParams: (parentCaller && parentCaller.parameterizedSelector) ? parentCaller.keyParams : null,
+        ...otherValues,
+      });
+    } catch (errorFromCallback) {
+      const callbackName = `on${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+      const selectorStack = [...getCallPath(), describeCall(parameterizedSelector, keyParams)];
+      options.exceptionCallback(`${getLoggingPrefix(keyParams)} has an ${callbackName} callback that threw an exception: ${errorFromCallback && errorFromCallback.message}`, errorFromCallback, {
+        displayName: options.displayName,
+        keyParams,
+        dependencyPath: selectorStack,
+      });
+    }
+  };
+
+
+  /**
+   * If this selector is already running with the same params, further up the call stack, then running it again
+   * would never end. In that case this returns the path of calls that led back here; otherwise null.
+   *
+   * Params are matched the same way the cache matches them, so that they're only stringified if the cache itself
+   * does that: a separate, throwaway cache of the same kind holds the current params while the others are looked
+   * up in it.
+   */
+  let paramsComparisonCache = null;
+  const getCircularCallPath = (keyParams) => {
+    const parameterizedSelectorCallStack = getCallStack();
+    const callStackLength = parameterizedSelectorCallStack.length;
+    let hasParamsComparisonEntry = false;
+    let circularCallPath = null;
+
+    for (let i = 0; i < callStackLength && !circularCallPath; i += 1) {
+      const callStackEntry = parameterizedSelectorCallStack[i];
+      if (callStackEntry.parameterizedSelector === parameterizedSelector) {
+        let isSameKeyParams = callStackEntry.keyParams === keyParams;
+        if (!isSameKeyParams) {
+          // This is only set up if it's needed
+          if (!hasParamsComparisonEntry) {
+            paramsComparisonCache = paramsComparisonCache || createCache({ ...options, warningsEnabled: false });
+            paramsComparisonCache.set(keyParams, callStackEntry);
+            hasParamsComparisonEntry = true;
+          }
+          isSameKeyParams = !!paramsComparisonCache.get(callStackEntry.keyParams);
+        }
+
+        if (isSameKeyParams) {
+          circularCallPath = [
+            ...parameterizedSelectorCallStack.slice(i)
+              .filter(entry => entry.parameterizedSelector)
+              .map(entry => describeCall(entry.parameterizedSelector, entry.keyParams)),
+            describeCall(callStackEntry.parameterizedSelector, keyParams),
+          ];
+        }
+      }
+    }
+    if (hasParamsComparisonEntry) {
+      paramsComparisonCache.clear();
+    }
+    return circularCallPath;
+  };
 
 
   /**
@@ -216,18 +746,31 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
    */
   const evaluateParameterizedSelector = (state, keyParams, ...additionalArgs) => {
     const parentCaller = getTopCallStackEntry();
-
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
-
-    const loggingPrefix = `Parameterized selector "${options.displayName}(${keyParamsString})"`;
+    const selectorInstance = getSelectorInstance();
+    // Prefetches only count as prefetched runs, if they run at all
+    const isPrefetch = !!parentCaller && parentCaller.isPrefetch;
+
+    const previousResult = selectorInstance.previousResultsByParam.get(keyParams);
+    const cacheInvalidationCountAtStart = getCacheInvalidationCount();
+
+    const loggingPrefix = options.verboseLoggingEnabled ? getLoggingPrefix(keyParams) : null;
+
+    // This is only tracked if something will receive events
+    const hasEventCallbacks = !!(options.onInvoke || options.onSkippedRun || options.onPhantomRun
+      || options.onFullRun || options.onAbortedRun);
+    const eventValues = hasEventCallbacks ? {
+      state,
+      keyParams,
+      previousResult,
+      parentCaller,
+      startTime: getTimestamp(),
+    } : null;
 
     if (options.verboseLoggingEnabled && options.useConsoleGroup) {
       console.groupCollapsed(`Starting ${loggingPrefix}`, { // eslint-disable-line no-console
         parentCaller,
         state,
         keyParams,
-        keyParamsString,
         additionalArgs,
         previousResult,
       });
@@ -236,42 +779,30 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
         parentCaller,
         state,
         keyParams,
-        keyParamsString,
         additionalArgs,
         previousResult,
       });
     }
 
-    if (options.warningsEnabled) {
-      if (!keyParamsString) {
-        options.warningsCallback(`${options.displayName} generated an empty keyParamsString`, {
-          keyParams,
-          keyParamsString,
-          state,
-        });
-      } else if (keyParamsString.length > 100) { // @TODO: Make this value a configurable option
-        options.warningsCallback(`${options.displayName} generated an unusually long keyParamsString`, {
-          keyParams,
-          keyParamsString,
-          state,
-        });
-      }
-    }
-
-    if (options.performanceChecksEnabled) {
-      globalInvokeCount += 1;
+    if (options.performanceChecksEnabled && !isPrefetch) {
+      selectorInstance.globalInvokeCount += 1;
       if (previousResult) {
         previousResult.invokeCount += 1;
       }
     }
     if (typeof options.onInvoke === 'function') {
-      options.onInvoke(/* @TODO: What should go here? */);
+      callEventCallback(options.onInvoke, 'invoke', eventValues);
     }
 
     // Step 1: Do we have a prior result for this parameterizedSelector + its keyParams?
     let canUsePreviousResult = false; // until proven otherwise
+    // Whichever way we go, this explains why
+    let reason = SELECTOR_EVENT_REASONS.NO_CACHED_RESULT;
 
-    if (previousResult && previousResult.hasReturnValue) {
+    // Depending on the errorPolicy, an error may be reused just like a return value
+    const canReusePreviousError = errorPolicy === ERROR_POLICIES.CACHE_UNTIL_DEPENDENCIES_CHANGE
+      && !!previousResult && !!previousResult.error;
+    if (previousResult && (previousResult.hasReturnValue || canReusePreviousError)) {
       const {
         state: previousState,
         rootDependencies: previousRootDependencies,
@@ -279,22 +810,29 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
         // Note that invokeCount, skippedRunCount, phantomRunCount, fullRunCount, and abortedRunCount
         // are only referenced if they're actually in use.
       } = previousResult;
+      const hasDependencies = previousRootDependencies.length > 0 || previousOwnDependencies.length > 0;
+      // If something was invalidated since we last confirmed this result, one of our dependencies might
+      // have been invalidated too. If none of them were, we won't need to look again until the next invalidation.
+      let mayDependOnInvalidatedResult = false;
+      if (hasDependencies && previousResult.cacheInvalidationCount !== cacheInvalidationCountAtStart) {
+        mayDependOnInvalidatedResult = hasInvalidatedDependency(state, previousOwnDependencies);
+        if (!mayDependOnInvalidatedResult) {
+          previousResult.cacheInvalidationCount = cacheInvalidationCountAtStart;
+        }
+      }
 
       // Step 2: Have we already run with these params for this state?
-      // compareIncomingStates is only honored for root selectors
-      // @TODO: Need to warn if compareIncomingStates is set for a non-root selector
-      if (state && previousState && ((isRootSelector && compareIncomingStates)
+      // compareIncomingStates is only honored for root selectors (see ./optionsValidation.js)
+      if (state && previousState && !mayDependOnInvalidatedResult && ((isRootSelector && compareIncomingStates)
         ? compareIncomingStates(previousState, state)
         : state === previousState
       )) {
         canUsePreviousResult = true;
+        reason = SELECTOR_EVENT_REASONS.STATE_UNCHANGED;
         if (options.verboseLoggingEnabled) {
           options.verboseLoggingCallback(`${loggingPrefix} is cached: state hasn't changed`);
         }
-      } else if (!isRootSelector && (
-        previousRootDependencies.length > 0
-        || previousOwnDependencies.length > 0
-      )) {
+      } else if (!isRootSelector && hasDependencies) {
         // Step 3: Have any of our dependencies changed?
         // @TODO: Need to warn if a root selector ever has dependencies
 
@@ -305,47 +843,164 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
         // Since we're only checking dependencies, we want to minimize any extra work the child selectors
         // could do.
         pushCallStackEntry(state, hasStaticDependencies, {
+          parameterizedSelector,
+          keyParams,
           shouldRecordDependencies: false,
         });
+        const profilerFrame = startProfilerFrame(
+          PROFILER_FRAME_TYPES.DEPENDENCY_CHECK,
+          parameterizedSelector,
+          keyParams,
+        );
+
+        // Our own dependencies always have the final say: if none of them have changed, then neither has our
+        // result. Our root dependencies can only tell us that nothing has changed *before* we check those.
+        // An invalidated intermediate won't show up in the root dependencies, though, so if that's possible
+        // then we go straight to the intermediates.
+        // The root dependencies can only vouch for the own dependencies if they cover all of them.
+        const hasIncompleteRootDependencies = previousResult.hasUncoveredDependencies
+          || (!previousRootDependencies.length && previousOwnDependencies.length > 0);
+        let hasChanges;
+        // A callback that throws (e.g. an exceptionCallback that rethrows) mustn't leave our entry on the stack
+        try {
+          if (mayDependOnInvalidatedResult || hasIncompleteRootDependencies
+            || dependencyCheckStrategy === DEPENDENCY_CHECK_STRATEGIES.OWN_ONLY
+          ) {
+            hasChanges = hasAnyDependencyChanged(
+              state,
+              previousOwnDependencies,
+              options,
+              loggingPrefix,
+              additionalArgs,
+            );
+          } else if (dependencyCheckStrategy === DEPENDENCY_CHECK_STRATEGIES.EXHAUSTIVE) {
+            const hasRootChanges = hasAnyDependencyChanged(
+              state,
+              previousRootDependencies,
+              options,
+              loggingPrefix,
+              additionalArgs,
+            );
+            hasChanges = hasAnyDependencyChanged(
+              state,
+              previousOwnDependencies,
+              options,
+              loggingPrefix,
+              additionalArgs,
+            );
+
+            if (hasChanges && !hasRootChanges && options.warningsEnabled) {
+              options.warningsCallback(`${getLoggingPrefix(keyParams)} found a change in its own dependencies that its root dependencies missed`, {
+                previousResult,
+              });
+            }
+          } else {
+            // If none of the root selectors we depend on have changed, nothing in between them can have changed
+            // either.
+            hasChanges = hasAnyDependencyChanged(
+              state,
+              previousRootDependencies,
+              options,
+              loggingPrefix,
+              additionalArgs,
+            )
+              && hasAnyDependencyChanged(state, previousOwnDependencies, options, loggingPrefix, additionalArgs);
+          }
+        } finally {
+          endProfilerFrame(profilerFrame);
+          popCallStackEntry();
+        }
 
-        // We'll check the root dependencies first: if one of them has changed, we'll check out intermediates.
-        // If one of those has also changed, then we need to rerun.
-        const hasChanges = hasAnyDependencyChanged(state, previousRootDependencies, options, loggingPrefix, additionalArgs) // eslint-disable-line max-len
-          && hasAnyDependencyChanged(state, previousOwnDependencies, options, loggingPrefix, additionalArgs);
-
-        popCallStackEntry();
-
+        reason = hasChanges
+          ? SELECTOR_EVENT_REASONS.DEPENDENCIES_CHANGED
+          : SELECTOR_EVENT_REASONS.DEPENDENCIES_UNCHANGED;
         if (!hasChanges) {
           canUsePreviousResult = true;
           if (options.verboseLoggingEnabled) {
             options.verboseLoggingCallback(`${loggingPrefix} is cached: no dependencies have changed`);
           }
         }
+      } else {
+        reason = SELECTOR_EVENT_REASONS.STATE_CHANGED;
       }
     }
 
     // We need to return a bunch of metaData along with the returnValue, at the very end. Instead of tracking
     // a handful of separate variables, everything will be accumulated here.
     let newResult;
+    // Whenever innerFn runs, the root selectors it reaches add themselves to each caller's rootDependencies.
+    let didRunInnerFn = false;
 
     if (canUsePreviousResult) {
       newResult = previousResult;
+      newResult.cacheInvalidationCount = cacheInvalidationCountAtStart;
+      markResultRecordUsed(selectorInstance, newResult);
 
-      if (options.performanceChecksEnabled) {
-        globalSkippedRunCount += 1;
+      if (options.performanceChecksEnabled && !isPrefetch) {
+        selectorInstance.globalSkippedRunCount += 1;
         newResult.skippedRunCount += 1;
+        if (newResult.isPrefetched) {
+          selectorInstance.globalPrefetchHitCount += 1;
+          newResult.prefetchHitCount += 1;
+        }
+      }
+      if (!isPrefetch) {
+        newResult.isPrefetched = false;
       }
       if (typeof options.onSkippedRun === 'function') {
-        options.onSkippedRun(/* @TODO: What should go here? */);
+        callEventCallback(options.onSkippedRun, 'skippedRun', {
+          ...eventValues,
+          returnValue: newResult.returnValue,
+          reason,
+        });
       }
     } else {
       // Step 4: Run and obtain a new result, if we can.
-      newResult = createResultRecord(state, previousResult);
+      newResult = createResultRecord(state, previousResult, {
+        keyParams,
+        cacheInvalidationCount: cacheInvalidationCountAtStart,
+        ...(isPrefetch ? { invokeCount: previousResult ? previousResult.invokeCount : 0 } : {}),
+      });
+
+      const circularCallPath = parentCaller.canReRun ? getCircularCallPath(keyParams) : null;
+
+      if (circularCallPath) {
+        // We can't run, and this is a bug in the selectors: it'll be thrown to whoever called us.
+        newResult.error = new CircularDependencyError(circularCallPath);
+        const selectorStack = [...getCallPath(), describeCall(parameterizedSelector, keyParams)];
+        addSelectorStackToError(newResult.error, selectorStack, options.addSelectorStackToErrorMessages);
+        // Like an exception from innerFn, it's reported here and nowhere else on its way up
+        options.exceptionCallback(`${getLoggingPrefix(keyParams)} called itself: ${circularCallPath.join(' -> ')}`, newResult.error, {
+          displayName: options.displayName,
+          keyParams,
+          dependencyPath: selectorStack,
+        });
+      } else if (parentCaller.canReRun) {
+        // If our dependencies are static and were recorded before, our child selectors can just update them in
+        // place. Every so often, though, we'll record them again to make sure they really are static.
+        let shouldReuseDependencies = false;
+        let shouldVerifyDependencies = false;
+        if (previousResult && previousResult.hasFrozenDependencies) {
+          selectorInstance.frozenDependencyRunCount += 1;
+          shouldVerifyDependencies = options.staticDependencyCheckInterval > 0
+            && selectorInstance.frozenDependencyRunCount % options.staticDependencyCheckInterval === 0;
+          shouldReuseDependencies = !shouldVerifyDependencies;
+        }
 
-      if (parentCaller.canReRun) {
         // Collect dependencies, if appropriate
-        pushCallStackEntry(state, hasStaticDependencies);
+        didRunInnerFn = true;
+        pushCallStackEntry(state, hasStaticDependencies, {
+          parameterizedSelector,
+          keyParams,
+          ...(shouldReuseDependencies ? {
+            rootDependencies: previousResult.rootDependencies,
+            ownDependencies: previousResult.ownDependencies,
+            reusesDependencies: true,
+          } : {}),
+        });
 
+        let didThrow = false;
+        const profilerFrame = startProfilerFrame(PROFILER_FRAME_TYPES.RUN, parameterizedSelector, keyParams);
         try {
           let returnValue;
           if (isRootSelector) {
@@ -367,14 +1022,33 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
           newResult.hasReturnValue = true;
           newResult.returnValue = returnValue;
         } catch (errorFromInnerFn) {
+          didThrow = true;
           newResult.error = errorFromInnerFn;
-
-          options.warningsCallback(`${loggingPrefix} threw an exception: ${newResult.error.message}`, newResult.error);
-          if (options.warningsEnabled) {
-            console.trace(); // eslint-disable-line no-console
-          }
         }
+        endProfilerFrame(profilerFrame);
         const callStackEntry = popCallStackEntry();
+        // A phantom run discards this, but its event still reports it
+        const returnValueFromRun = newResult.returnValue;
+
+        if (didThrow) {
+          // Errors from child selectors were already reported by the selector that threw them
+          if (newResult.error !== callStackEntry.errorFromChild) {
+            const selectorStack = [...getCallPath(), describeCall(parameterizedSelector, keyParams)];
+            const errorMessage = `${getLoggingPrefix(keyParams)} threw an exception: ${newResult.error && newResult.error.message}`;
+            addSelectorStackToError(newResult.error, selectorStack, options.addSelectorStackToErrorMessages);
+
+            options.exceptionCallback(errorMessage, newResult.error, {
+              displayName: options.displayName,
+              keyParams,
+              dependencyPath: selectorStack,
+            });
+          }
+          if (errorPolicy === ERROR_POLICIES.FALLBACK_VALUE) {
+            newResult.error = null;
+            newResult.hasReturnValue = true;
+            newResult.returnValue = options.fallbackValue;
+          }
+        }
 
         // Step 5: Did we really get back a new value?
         if (previousResult && previousResult.hasReturnValue && newResult.hasReturnValue
@@ -384,6 +1058,8 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
           // to check it again)
           newResult = previousResult;
           newResult.state = state;
+          newResult.cacheInvalidationCount = cacheInvalidationCountAtStart;
+          markResultRecordUsed(selectorInstance, newResult);
           if (options.verboseLoggingEnabled) {
             options.verboseLoggingCallback(`${loggingPrefix} didn't need to re-run: the result is the same`, {
               previousResult,
@@ -391,43 +1067,98 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
             });
           }
 
-          if (options.performanceChecksEnabled) {
-            globalPhantomRunCount += 1;
+          if (options.performanceChecksEnabled && !isPrefetch) {
+            selectorInstance.globalPhantomRunCount += 1;
             newResult.phantomRunCount += 1;
           }
           if (typeof options.onPhantomRun === 'function') {
-            options.onPhantomRun(/* @TODO: What should go here? */);
+            callEventCallback(options.onPhantomRun, 'phantomRun', {
+              ...eventValues,
+              returnValue: returnValueFromRun,
+              reason: SELECTOR_EVENT_REASONS.RESULT_EQUIVALENT,
+            });
           }
         } else {
           // It really IS new!
-          previousResultsByParam[keyParamsString] = newResult;
+          storeResultRecord(selectorInstance, keyParams, newResult, previousResult);
           if (options.verboseLoggingEnabled) {
             options.verboseLoggingCallback(`${loggingPrefix} has a new return value: `, newResult.returnValue);
           }
 
-          if (options.performanceChecksEnabled) {
-            globalFullRunCount += 1;
+          if (options.performanceChecksEnabled && !isPrefetch) {
+            selectorInstance.globalFullRunCount += 1;
             newResult.fullRunCount += 1;
           }
           if (typeof options.onFullRun === 'function') {
-            options.onFullRun(/* @TODO: What should go here? */);
+            callEventCallback(options.onFullRun, 'fullRun', {
+              ...eventValues,
+              returnValue: newResult.returnValue,
+              reason,
+            });
           }
         }
 
-        if (!newResult.error && (
-          callStackEntry.rootDependencies.length
-          || callStackEntry.ownDependencies.length
-        )) {
-          // Carry over the bookkeeping records of whatever sub-selectors were run within innerFn.
-          newResult.rootDependencies = callStackEntry.rootDependencies;
-          newResult.ownDependencies = callStackEntry.ownDependencies;
+        newResult.isPrefetched = isPrefetch;
+        if (options.performanceChecksEnabled && isPrefetch) {
+          selectorInstance.globalPrefetchedRunCount += 1;
+          newResult.prefetchedRunCount += 1;
+        }
+
+        if (didThrow) {
+          // The run didn't finish, so any frozen lists were only partly updated. Otherwise, whatever it recorded
+          // is everything that led to the error.
+          newResult.rootDependencies = shouldReuseDependencies ? [] : callStackEntry.rootDependencies;
+          newResult.ownDependencies = shouldReuseDependencies ? [] : callStackEntry.ownDependencies;
+          newResult.hasFrozenDependencies = false;
+          newResult.resolvedRootDependencies = null;
+          newResult.hasUncoveredDependencies = !shouldReuseDependencies && callStackEntry.hasUncoveredDependencies;
+        } else if (shouldReuseDependencies) {
+          if (callStackEntry.hasDependencyMismatch
+            || callStackEntry.ownDependencyIndex !== callStackEntry.ownDependencies.length
+          ) {
+            if (options.warningsEnabled) {
+              options.warningsCallback(`${getLoggingPrefix(keyParams)} has hasStaticDependencies set, but it called different selectors than before`, {
+                callStackEntry,
+              });
+            }
+            // The frozen lists are now a mix of old and new dependencies. Without any dependencies we'll simply
+            // re-run (and record them properly) whenever the state changes.
+            newResult.rootDependencies = [];
+            newResult.ownDependencies = [];
+            newResult.hasFrozenDependencies = false;
+            newResult.resolvedRootDependencies = null;
+            newResult.hasUncoveredDependencies = false;
+          } else {
+            refreshRootDependencyValues(newResult);
+            newResult.hasUncoveredDependencies = newResult.hasUncoveredDependencies
+              || callStackEntry.hasUncoveredDependencies;
+          }
+        } else if (callStackEntry.rootDependencies.length || callStackEntry.ownDependencies.length) {
+          if (hasStaticDependencies) {
+            if (shouldVerifyDependencies && options.warningsEnabled
+              && !haveSameDependencies(previousResult.ownDependencies, callStackEntry.ownDependencies)
+            ) {
+              options.warningsCallback(`${getLoggingPrefix(keyParams)} has hasStaticDependencies set, but its dependencies changed`, {
+                previousDependencies: previousResult.ownDependencies,
+                newDependencies: callStackEntry.ownDependencies,
+              });
+            }
+            // Freeze the dependencies: later runs will update these in place.
+            newResult.rootDependencies = callStackEntry.rootDependencies;
+            newResult.ownDependencies = callStackEntry.ownDependencies;
+            newResult.hasFrozenDependencies = true;
+            newResult.resolvedRootDependencies = null;
+          } else {
+            // Carry over the bookkeeping records of whatever sub-selectors were run within innerFn.
+            newResult.rootDependencies = callStackEntry.rootDependencies;
+            newResult.ownDependencies = callStackEntry.ownDependencies;
+          }
+          newResult.hasUncoveredDependencies = callStackEntry.hasUncoveredDependencies;
 
           if (options.warningsEnabled && isRootSelector) {
-            options.warningsCallback(`${loggingPrefix} is supposed to be a root selector, but it recorded dependencies`, {
+            options.warningsCallback(`${getLoggingPrefix(keyParams)} is supposed to be a root selector, but it recorded dependencies`, {
               callStackEntry,
             });
-            // @TODO: Maybe add some intermittent checks around hasStaticDependencies when in dev mode,
-            // to have it warn if something should be static but isn't, or if it always records the same set.
           }
         }
 
@@ -435,22 +1166,30 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
           // While we're here, let's make sure the selector isn't recomputing too often.
           // @TODO: Make overrideable options for these values
           if (newResult.invokeCount > 5 && newResult.fullRunCount > 0.75 * newResult.invokeCount) {
-            options.performanceChecksCallback(`${loggingPrefix} is recomputing a lot: ${newResult.fullRunCount} of ${newResult.invokeCount} runs gave new results.`);
-          } else if (globalInvokeCount > 25 && globalFullRunCount > 0.75 * globalInvokeCount) {
-            options.performanceChecksCallback(`${options.displayName} is recomputing a lot in total: ${globalFullRunCount} of ${globalInvokeCount} runs gave new results.`);
+            options.performanceChecksCallback(`${getLoggingPrefix(keyParams)} is recomputing a lot: ${newResult.fullRunCount} of ${newResult.invokeCount} runs gave new results.`);
+          } else if (selectorInstance.globalInvokeCount > 25
+            && selectorInstance.globalFullRunCount > 0.75 * selectorInstance.globalInvokeCount
+          ) {
+            options.performanceChecksCallback(`${options.displayName} is recomputing a lot in total: ${selectorInstance.globalFullRunCount} of ${selectorInstance.globalInvokeCount} runs gave new results.`);
           }
         }
       } else {
         // We need to re-run, but the parentCaller told us not to, so the default `hasReturnValue: false`
-        // will pass through.
-        previousResultsByParam[keyParamsString] = newResult;
+        // will pass through. In a bounded cache, an entry with nothing in it mustn't push out one that has a
+        // value, so it's only kept if it replaces an existing entry.
+        if (previousResult || !selectorInstance.resultRecordsByRecency) {
+          storeResultRecord(selectorInstance, keyParams, newResult, previousResult);
+        }
 
         if (options.performanceChecksEnabled) {
-          globalAbortedRunCount += 1;
+          selectorInstance.globalAbortedRunCount += 1;
           newResult.abortedRunCount += 1;
         }
         if (typeof options.onAbortedRun === 'function') {
-          options.onAbortedRun(/* @TODO: What should go here? */);
+          callEventCallback(options.onAbortedRun, 'abortedRun', {
+            ...eventValues,
+            reason: SELECTOR_EVENT_REASONS.RUN_NOT_ALLOWED,
+          });
         }
       }
     }
@@ -458,16 +1197,57 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
     // Step 6: All our work is done -- but we may need to add an entry to let the parent/caller parameterizedSelector
     // know that this one was called, regardless of our cached/dirty state.
     if (parentCaller && parentCaller.shouldRecordDependencies) {
-      // @TODO: Split this into separate functions so that they can be ordered in definition order
-      // eslint-disable-next-line no-use-before-define
-      const thisResultRecord = [parameterizedSelector, keyParams, newResult.returnValue];
+      // This is only created if some list needs a new entry
+      let thisResultRecord = null;
+
       // Regardless of whether or not it's a root dependency, we need to track it as *our own* immediate dependency
-      parentCaller.ownDependencies.push(thisResultRecord);
+      if (parentCaller.reusesDependencies) {
+        const existingDependency = parentCaller.ownDependencies[parentCaller.ownDependencyIndex];
+        if (existingDependency && existingDependency[0] === parameterizedSelector) {
+          const dependencyValue = getDependencyValue(newResult);
+          if (existingDependency[2] !== dependencyValue) {
+            parentCaller.ownDependencies[parentCaller.ownDependencyIndex] = [
+              parameterizedSelector,
+              existingDependency[1],
+              dependencyValue,
+            ];
+          }
+        } else {
+          parentCaller.hasDependencyMismatch = true;
+        }
+        parentCaller.ownDependencyIndex += 1;
+      } else {
+        thisResultRecord = [parameterizedSelector, keyParams, getDependencyValue(newResult)];
+        parentCaller.ownDependencies.push(thisResultRecord);
+      }
 
+      const parameterizedSelectorCallStack = getCallStack();
+      const callStackLength = parameterizedSelectorCallStack.length;
+      // Without a return value (or with incomplete root dependencies of our own) we can't pass along every root
+      // dependency that our result relies on, so none of the callers can rely on their root dependencies alone.
+      if ((!newResult.hasReturnValue && !newResult.error)
+        || (!didRunInnerFn && newResult.hasUncoveredDependencies)
+      ) {
+        for (let i = 0; i < callStackLength; i += 1) {
+          parameterizedSelectorCallStack[i].hasUncoveredDependencies = true;
+        }
+      }
       if (isRootSelector) {
-        const callStackLength = parameterizedSelectorCallStack.length;
         for (let i = 0; i < callStackLength; i += 1) {
-          parameterizedSelectorCallStack[i].rootDependencies.push(thisResultRecord);
+          // Frozen lists get their root dependencies refreshed separately, once their selector is done
+          if (!parameterizedSelectorCallStack[i].reusesDependencies) {
+            thisResultRecord = thisResultRecord || [parameterizedSelector, keyParams, getDependencyValue(newResult)];
+            parameterizedSelectorCallStack[i].rootDependencies.push(thisResultRecord);
+          }
+        }
+      } else if (!didRunInnerFn && newResult.rootDependencies.length) {
+        // Since we didn't run, none of our root dependencies reached the callers: we pass them along
+        // ourselves so that each caller's rootDependencies still cover everything it depends on.
+        const { rootDependencies } = newResult;
+        for (let i = 0; i < callStackLength; i += 1) {
+          if (!parameterizedSelectorCallStack[i].reusesDependencies) {
+            parameterizedSelectorCallStack[i].rootDependencies.push(...rootDependencies);
+          }
         }
       }
     }
@@ -513,23 +1293,221 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
    * This is the 'public' selector function. You can call it like normal and it behaves like a normal function;
    * it's just a straightforward wrapper around evaluateParameterizedSelector for handling the common case.
    */
-  function parameterizedSelector(...args) {
+  parameterizedSelector = (...args) => {
     const isNewStart = !getTopCallStackEntry();
     const argsWithState = getArgumentsFromExternalCall(args);
 
     if (isNewStart) {
       pushCallStackEntry(argsWithState[0], hasStaticDependencies);
     }
-    const result = evaluateParameterizedSelector(...argsWithState);
-    if (isNewStart) {
-      popCallStackEntry();
+    let result;
+    try {
+      result = evaluateParameterizedSelector(...argsWithState);
+    } finally {
+      // Even if a callback threw, the next call mustn't think it's nested inside this one
+      if (isNewStart) {
+        popCallStackEntry();
+      }
     }
 
     if (result.error) {
+      if (!isNewStart) {
+        getTopCallStackEntry().errorFromChild = result.error;
+      }
       throw result.error;
     }
     return result.returnValue;
-  }
+  };
+
+  /**
+   * This evaluates the selector for each params in the list, against the same state, and returns their results
+   * in the same order. It's equivalent to calling the selector for each of them, but it only sets up the call
+   * once, and any dependency that several of the results have in common only needs to be checked once.
+   *
+   * If none of the results have changed since the last time the same list of params was given, the same array
+   * is returned again, and an empty list always gives the same (frozen) empty array. The array is kept with the
+   * cached results, though: if any of them isn't in the cache anymore -- e.g., because the list is longer than
+   * maxCacheSize -- a new array is returned each time. Like the selector itself, this can be called with or
+   * without state.
+   */
+  parameterizedSelector.selectMany = (...args) => {
+    const isNewStart = !getTopCallStackEntry();
+    const [state, keyParamsList, ...additionalArgs] = getArgumentsFromExternalCall(args);
+
+    const context = getActiveContext();
+    const previousSharedDependencyResults = context.sharedDependencyResults;
+    const isNewBatch = !previousSharedDependencyResults || previousSharedDependencyResults.state !== state;
+    if (isNewBatch) {
+      context.sharedDependencyResults = createSharedDependencyResults(state, getCacheInvalidationCount());
+    }
+    if (isNewStart) {
+      pushCallStackEntry(state, hasStaticDependencies);
+    }
+
+    const returnValues = [];
+    const resultRecords = [];
+    let errorResult = null;
+    const numKeyParams = keyParamsList.length;
+    try {
+      for (let i = 0; i < numKeyParams && !errorResult; i += 1) {
+        const result = evaluateParameterizedSelector(state, keyParamsList[i], ...additionalArgs);
+        if (result.error) {
+          errorResult = result;
+        } else {
+          returnValues.push(result.returnValue);
+          resultRecords.push(result);
+        }
+      }
+    } finally {
+      if (isNewStart) {
+        popCallStackEntry();
+      }
+      if (isNewBatch) {
+        context.sharedDependencyResults = previousSharedDependencyResults;
+      }
+    }
+
+    if (errorResult) {
+      if (!isNewStart) {
+        getTopCallStackEntry().errorFromChild = errorResult.error;
+      }
+      throw errorResult.error;
+    }
+
+    if (!resultRecords.length) {
+      return EMPTY_RETURN_VALUES;
+    }
+
+    // Results that weren't kept in the cache (e.g., because the cache is too small to hold them all) can't
+    // keep an array alive
+    const { previousResultsByParam, returnValueListsByResultRecord } = getSelectorInstance();
+    if (!resultRecords.every(resultRecord => (
+      previousResultsByParam.get(resultRecord.keyParams) === resultRecord
+    ))) {
+      return returnValues;
+    }
+
+    // A resultRecord's returnValue never changes, so if all of the same resultRecords are still cached then
+    // none of the returnValues have changed either
+    const [firstResultRecord] = resultRecords;
+    const returnValueLists = returnValueListsByResultRecord.get(firstResultRecord) || [];
+    const returnValueList = returnValueLists.filter(previousReturnValueList => (
+      previousReturnValueList.resultRecords.length === resultRecords.length
+      && previousReturnValueList.resultRecords.every((resultRecord, index) => resultRecord === resultRecords[index])
+    ))[0] || { resultRecords, returnValues };
+    returnValueListsByResultRecord.set(firstResultRecord, [
+      returnValueList,
+      ...returnValueLists.filter(otherReturnValueList => otherReturnValueList !== returnValueList),
+    ].slice(0, MAX_RETURN_VALUE_LISTS_PER_RESULT));
+    return returnValueList.returnValues;
+  };
+
+  /**
+   * This warms up the cache: it evaluates the selector for each params in the list, against the given state,
+   * without returning anything. The runs are counted as prefetched runs rather than full runs, and the first
+   * time a prefetched result gets used it counts as a prefetch hit, so the two can be compared to see how much
+   * of the work was worth doing. Errors are reported through the exceptionCallback like any other, and the rest
+   * of the list is still evaluated.
+   *
+   * Without a scheduler everything is done right away. With one (e.g. `requestIdleCallback` or `setImmediate`)
+   * the work is split into chunks: each chunk runs until the deadline it's given has no time remaining, or for
+   * chunkDuration milliseconds if it isn't given one, and then schedules the next. Either way it returns a
+   * promise that resolves once the whole list is done. The chunks run in whichever selector context was active
+   * when precompute was called.
+   *
+   * Since the app may move on to a newer state before a chunk runs, the state can be given as a function (like
+   * `store.getState`) which each chunk calls to get the current one. Either way, any params whose cached result
+   * changed after precompute started are left alone, so that a result for a newer state doesn't get replaced.
+   *
+   * @param {Object|Function} stateOrGetState required
+   * @param {Array} keyParamsList required
+   * @param {Object} precomputeOptions optional: { scheduler, chunkDuration }
+   */
+  parameterizedSelector.precompute = (stateOrGetState, keyParamsList, {
+    scheduler = null,
+    chunkDuration = 10,
+  } = {}) => {
+    const context = getActiveContext();
+    const numKeyParams = keyParamsList.length;
+    let nextIndex = 0;
+
+    // Each cached result (and the state it was last confirmed for) as it was when we started
+    const { previousResultsByParam } = getSelectorInstance();
+    const resultRecordsAtStart = keyParamsList.map((keyParams) => {
+      const resultRecord = previousResultsByParam.get(keyParams);
+      return resultRecord ? [resultRecord, resultRecord.state] : null;
+    });
+    const hasChangedSinceStart = (state, index) => {
+      const resultRecord = getSelectorInstance().previousResultsByParam.get(keyParamsList[index]);
+      if (!resultRecord || resultRecord.state === state) {
+        return false;
+      }
+      const resultRecordAtStart = resultRecordsAtStart[index];
+      return !resultRecordAtStart
+        || resultRecordAtStart[0] !== resultRecord || resultRecordAtStart[1] !== resultRecord.state;
+    };
+
+    const precomputeChunk = deadline => context.run(() => {
+      const state = typeof stateOrGetState === 'function' ? stateOrGetState() : stateOrGetState;
+      const startTime = getTimestamp();
+      const hasTimeRemaining = () => {
+        if (!scheduler) {
+          return true;
+        }
+        return (deadline && typeof deadline.timeRemaining === 'function')
+          ? deadline.timeRemaining() > 0
+          : getTimestamp() - startTime < chunkDuration;
+      };
+
+      const previousSharedDependencyResults = context.sharedDependencyResults;
+      context.sharedDependencyResults = createSharedDependencyResults(state, getCacheInvalidationCount());
+      pushCallStackEntry(state, hasStaticDependencies, {
+        isPrefetch: true,
+      });
+      try {
+        // Each chunk does at least one, so that it always makes progress
+        do {
+          if (!hasChangedSinceStart(state, nextIndex)) {
+            evaluateParameterizedSelector(state, keyParamsList[nextIndex]);
+          }
+          nextIndex += 1;
+        } while (nextIndex < numKeyParams && hasTimeRemaining());
+      } finally {
+        popCallStackEntry();
+        context.sharedDependencyResults = previousSharedDependencyResults;
+      }
+    });
+
+    if (!numKeyParams) {
+      return Promise.resolve();
+    }
+    if (!scheduler) {
+      // Like a scheduled chunk, this reports a callback that throws (e.g. a rethrowing exceptionCallback) through
+      // the promise, instead of throwing to the caller
+      try {
+        precomputeChunk();
+      } catch (e) {
+        return Promise.reject(e);
+      }
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const scheduleNextChunk = () => scheduler((deadline) => {
+        try {
+          precomputeChunk(deadline);
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        if (nextIndex < numKeyParams) {
+          scheduleNextChunk();
+        } else {
+          resolve();
+        }
+      });
+      scheduleNextChunk();
+    });
+  };
 
   // This lets selectors bypass the wrappers internally, when appropriate. It shouldn't be called from
   // outside of this file (and tests), though.
@@ -543,69 +1521,96 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
    *        decide when/whether to re-run the dependencies to see if they've changed.
    */
   parameterizedSelector.hasCachedResult = (...args) => {
-    const topOfCallStack = !getTopCallStackEntry();
+    const parentCaller = getTopCallStackEntry();
     const argsWithState = getArgumentsFromExternalCall(args);
 
-    if (topOfCallStack) {
-      pushCallStackEntry(argsWithState[0], hasStaticDependencies, {
-        rootDependencies: topOfCallStack.rootDependencies,
-        ownDependencies: topOfCallStack.ownDependencies,
-        canReRun: false,
-      });
+    let result;
+    if (parentCaller) {
+      // The parent records this as a dependency, just as if it had been called normally
+      const parentCanReRun = parentCaller.canReRun;
+      parentCaller.canReRun = false;
+      try {
+        result = evaluateParameterizedSelector(...argsWithState);
+      } finally {
+        parentCaller.canReRun = parentCanReRun;
+      }
     } else {
       pushCallStackEntry(argsWithState[0], hasStaticDependencies, {
-        rootDependencies: [],
-        ownDependencies: [],
         canReRun: false,
       });
+      try {
+        result = evaluateParameterizedSelector(...argsWithState);
+      } finally {
+        popCallStackEntry();
+      }
     }
-    const result = evaluateParameterizedSelector(...argsWithState);
-    popCallStackEntry();
 
     return result.hasReturnValue;
   };
 
-  parameterizedSelector.getGlobalInvokeCount = () => globalInvokeCount;
-  parameterizedSelector.getGlobalSkippedRunCount = () => globalSkippedRunCount;
-  parameterizedSelector.getGlobalPhantomRunCount = () => globalPhantomRunCount;
-  parameterizedSelector.getGlobalFullRunCount = () => globalFullRunCount;
-  parameterizedSelector.getGlobalAbortedRunCount = () => globalAbortedRunCount;
-  parameterizedSelector.getAllGlobalCounts = () => ({
-    globalInvokeCount,
-    globalSkippedRunCount,
-    globalPhantomRunCount,
-    globalFullRunCount,
-    globalAbortedRunCount,
-  });
+  // Like everything below, these only cover the active selector context.
+  parameterizedSelector.getGlobalInvokeCount = () => getSelectorInstance().globalInvokeCount;
+  parameterizedSelector.getGlobalSkippedRunCount = () => getSelectorInstance().globalSkippedRunCount;
+  parameterizedSelector.getGlobalPhantomRunCount = () => getSelectorInstance().globalPhantomRunCount;
+  parameterizedSelector.getGlobalFullRunCount = () => getSelectorInstance().globalFullRunCount;
+  parameterizedSelector.getGlobalAbortedRunCount = () => getSelectorInstance().globalAbortedRunCount;
+  parameterizedSelector.getGlobalEvictionCount = () => getSelectorInstance().globalEvictionCount;
+  // Runs done by precompute only count as prefetched runs, and a prefetch hit is the first use of their result
+  parameterizedSelector.getGlobalPrefetchedRunCount = () => getSelectorInstance().globalPrefetchedRunCount;
+  parameterizedSelector.getGlobalPrefetchHitCount = () => getSelectorInstance().globalPrefetchHitCount;
+  parameterizedSelector.getAllGlobalCounts = () => {
+    const {
+      globalInvokeCount,
+      globalSkippedRunCount,
+      globalPhantomRunCount,
+      globalFullRunCount,
+      globalAbortedRunCount,
+      globalEvictionCount,
+      globalPrefetchedRunCount,
+      globalPrefetchHitCount,
+    } = getSelectorInstance();
+    return {
+      globalInvokeCount,
+      globalSkippedRunCount,
+      globalPhantomRunCount,
+      globalFullRunCount,
+      globalAbortedRunCount,
+      globalEvictionCount,
+      globalPrefetchedRunCount,
+      globalPrefetchHitCount,
+    };
+  };
 
   parameterizedSelector.getInvokeCountForParams = (keyParams) => {
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
     return previousResult ? previousResult.invokeCount : 0;
   };
   parameterizedSelector.getSkippedRunCountForParams = (keyParams) => {
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
     return previousResult ? previousResult.skippedRunCount : 0;
   };
   parameterizedSelector.getPhantomRunCountForParams = (keyParams) => {
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
     return previousResult ? previousResult.phantomRunCount : 0;
   };
   parameterizedSelector.getFullRunCountForParams = (keyParams) => {
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
     return previousResult ? previousResult.fullRunCount : 0;
   };
   parameterizedSelector.getAbortedRunCountForParams = (keyParams) => {
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
     return previousResult ? previousResult.abortedRunCount : 0;
   };
+  parameterizedSelector.getPrefetchedRunCountForParams = (keyParams) => {
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
+    return previousResult ? previousResult.prefetchedRunCount : 0;
+  };
+  parameterizedSelector.getPrefetchHitCountForParams = (keyParams) => {
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
+    return previousResult ? previousResult.prefetchHitCount : 0;
+  };
   parameterizedSelector.getAllCountsForParams = (keyParams) => {
-    const keyParamsString = createKeyFromParams(keyParams);
-    const previousResult = previousResultsByParam[keyParamsString];
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
     return previousResult
       ? {
         invokeCount: previousResult.invokeCount,
@@ -613,20 +1618,167 @@ const parameterizedSelectorFactory = (innerFn, overrideOptions = {}) => {
         phantomRunCount: previousResult.phantomRunCount,
         fullRunCount: previousResult.fullRunCount,
         abortedRunCount: previousResult.abortedRunCount,
+        prefetchedRunCount: previousResult.prefetchedRunCount,
+        prefetchHitCount: previousResult.prefetchHitCount,
       } : {
         invokeCount: 0,
         skippedRunCount: 0,
         phantomRunCount: 0,
         fullRunCount: 0,
         abortedRunCount: 0,
+        prefetchedRunCount: 0,
+        prefetchHitCount: 0,
       };
   };
 
+  /**
+   * These let callers drop cached results explicitly, without needing to recreate the selector.
+   * Any other selectors that recorded a removed result as a dependency will check that dependency again
+   * the next time they're called, even if the state hasn't changed.
+   */
+  const invalidateResultRecords = (resultRecordsToRemove) => {
+    if (resultRecordsToRemove.length) {
+      const selectorInstance = getSelectorInstance();
+      resultRecordsToRemove.forEach(resultRecord => removeResultRecord(selectorInstance, resultRecord));
+      incrementCacheInvalidationCount();
+      if (options.verboseLoggingEnabled) {
+        options.verboseLoggingCallback(`Parameterized selector "${options.displayName}" invalidated ${resultRecordsToRemove.length} cached result(s)`, resultRecordsToRemove);
+      }
+    }
+    return resultRecordsToRemove.length;
+  };
+
+  parameterizedSelector.invalidate = (keyParams) => {
+    const previousResult = getSelectorInstance().previousResultsByParam.get(keyParams);
+    return invalidateResultRecords(previousResult ? [previousResult] : []) > 0;
+  };
+  parameterizedSelector.invalidateWhere = (predicate) => {
+    const resultRecordsToRemove = [];
+    getAllResultRecords(getSelectorInstance()).forEach((previousResult) => {
+      // A result that's an error (or that never got a value) would look like a null returnValue on its own
+      if (predicate(previousResult.keyParams, previousResult.returnValue, previousResult)) {
+        resultRecordsToRemove.push(previousResult);
+      }
+    });
+    return invalidateResultRecords(resultRecordsToRemove);
+  };
+  // This clears the cache even if it can't list its results, but then it can't say how many there were
+  parameterizedSelector.clearCache = () => {
+    const selectorInstance = getSelectorInstance();
+    const { previousResultsByParam, resultRecordsByRecency } = selectorInstance;
+    const resultRecords = getAllResultRecords(selectorInstance);
+    const { onCachedResultRecordRemoved } = parameterizedSelector;
+    if (onCachedResultRecordRemoved) {
+      resultRecords.forEach(onCachedResultRecordRemoved);
+    }
+    previousResultsByParam.clear();
+    if (resultRecordsByRecency) {
+      resultRecordsByRecency.clear();
+    }
+    incrementCacheInvalidationCount();
+    return resultRecords.length;
+  };
+
+  // These let library-wide operations, like invalidateTags, reach into the cache. Like directRunFromParent,
+  // they shouldn't be called from outside of this library (and tests).
+  parameterizedSelector.getCachedResultRecord = keyParams => getSelectorInstance().previousResultsByParam
+    .get(keyParams);
+  parameterizedSelector.getCachedResultRecords = () => getAllResultRecords(getSelectorInstance());
+  parameterizedSelector.removeCachedResultRecords = invalidateResultRecords;
+  // If this is set, it gets each resultRecord that leaves the cache, whether it was evicted, invalidated or cleared
+  parameterizedSelector.onCachedResultRecordRemoved = null;
+  parameterizedSelector.restoreCachedResultRecord = (
+    state,
+    keyParams,
+    returnValue,
+    rootDependencies,
+    ownDependencies,
+  ) => {
+    const resultRecord = createResultRecord(state, {}, {
+      keyParams,
+      rootDependencies,
+      ownDependencies,
+      hasReturnValue: true,
+      returnValue,
+      invokeCount: 0,
+    });
+    const selectorInstance = getSelectorInstance();
+    storeResultRecord(
+      selectorInstance,
+      keyParams,
+      resultRecord,
+      selectorInstance.previousResultsByParam.get(keyParams),
+    );
+    return resultRecord;
+  };
+
+  parameterizedSelector.getTagsForParams = keyParams => (tags ? tags(keyParams) : []);
+
+  // This calls the listener whenever the selector returns something new for the store's state: see subscribe.js
+  parameterizedSelector.subscribe = (store, keyParams, listener) => subscribeToSelector(
+    parameterizedSelector,
+    store,
+    keyParams,
+    listener,
+  );
+
+  // This covers the cached result for the given params, and everything it depends on: see dependencyGraph.js
+  parameterizedSelector.getDependencyGraph = keyParams => getDependencyGraphForParams(
+    parameterizedSelector,
+    keyParams,
+  );
+
+  parameterizedSelector.resetCounts = () => {
+    const selectorInstance = getSelectorInstance();
+    selectorInstance.globalInvokeCount = 0;
+    selectorInstance.globalSkippedRunCount = 0;
+    selectorInstance.globalPhantomRunCount = 0;
+    selectorInstance.globalFullRunCount = 0;
+    selectorInstance.globalAbortedRunCount = 0;
+    selectorInstance.globalEvictionCount = 0;
+    selectorInstance.globalPrefetchedRunCount = 0;
+    selectorInstance.globalPrefetchHitCount = 0;
+    /* eslint-disable no-param-reassign */
+    getAllResultRecords(selectorInstance).forEach((previousResult) => {
+      previousResult.invokeCount = 0;
+      previousResult.skippedRunCount = 0;
+      previousResult.phantomRunCount = 0;
+      previousResult.fullRunCount = 0;
+      previousResult.abortedRunCount = 0;
+      previousResult.prefetchedRunCount = 0;
+      previousResult.prefetchHitCount = 0;
+    });
+    /* eslint-enable no-param-reassign */
+  };
+
+  /**
+   * Changes any of the options that are settable anytime, e.g. to turn on verbose logging for a while. Options
+   * that can only be set at initialization are rejected.
+   *
+   * @param {Object} runtimeOptions required
+   */
+  parameterizedSelector.setOptions = (runtimeOptions) => {
+    assertRuntimeOptions(runtimeOptions, `${options.displayName}.setOptions`);
+    Object.assign(options, runtimeOptions);
+    if (parameterizedSelector.displayName !== options.displayName) {
+      parameterizedSelector.displayName = options.displayName;
+      updateSelectorDisplayName(parameterizedSelector, options.registry);
+    }
+  };
+
+  // This is a copy: use setOptions to change them
+  parameterizedSelector.getOptions = () => ({ ...options });
+
   parameterizedSelector.isParameterizedSelector = true;
   parameterizedSelector.displayName = options.displayName;
   parameterizedSelector.isRootSelector = isRootSelector;
-  parameterizedSelector.createKeyFromParams = createKeyFromParams;
+  // This is only for display, so it's never missing (see describeKeyParams)
+  parameterizedSelector.createKeyFromParams = describeKeyParams;
 
+  // Removes it from its registries: see ./selectorRegistry.js
+  parameterizedSelector.unregister = () => unregisterSelector(parameterizedSelector, options.registry);
+
+  registerSelector(parameterizedSelector, options.registry);
   return parameterizedSelector;
 };
 
@@ -642,4 +1794,7 @@ parameterizedSelectorFactory.withOptions = localOptions => // eslint-disable-nex
   });
 
 
+export {
+  getStateForCurrentCall,
+};
 export default parameterizedSelectorFactory;
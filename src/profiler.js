@@ -0,0 +1,253 @@
+/* global performance */
+
+import { getActiveContext } from './selectorContext';
+
+
+// Timings are in milliseconds, as precise as the environment allows
+const getTimestamp = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+
+/**
+ * The profiler is opt-in: while it's on for a selector context, every run of a selector's innerFn and every
+ * dependency check in that context gets timed. Each of those is a "frame", and frames nest -- a run may call
+ * other selectors, which check their dependencies or run in turn -- so each frame has two durations:
+ *  - inclusive: everything from start to end
+ *  - exclusive: minus the frames nested within it
+ * A run's exclusive time is the time spent in the selector's own code (userCodeTime). A dependency check's
+ * exclusive time is the time spent comparing dependencies (dependencyCheckTime). Since the exclusive times
+ * never overlap, they can be added up.
+ *
+ * The profile lives on the context, as: {
+ *    isRecording,
+ *    openFrames: [frame, ...],
+ *    statsBySelector: Map {
+ *      [parameterizedSelector]: stats,
+ *    },
+ *    statsByParams: Map {
+ *      [parameterizedSelector]: Map {
+ *        [keyParamsString]: stats,
+ *      },
+ *    },
+ *  }
+ */
+const PROFILER_FRAME_TYPES = {
+  RUN: 'run',
+  DEPENDENCY_CHECK: 'dependencyCheck',
+};
+
+const createProfile = () => ({
+  isRecording: true,
+  openFrames: [],
+  statsBySelector: new Map(),
+  statsByParams: new Map(),
+});
+
+const createStats = () => ({
+  runCount: 0,
+  inclusiveRunTime: 0,
+  userCodeTime: 0,
+  dependencyCheckCount: 0,
+  inclusiveDependencyCheckTime: 0,
+  dependencyCheckTime: 0,
+});
+
+const addFrameToStats = (stats, frame, inclusiveTime, exclusiveTime) => {
+  /* eslint-disable no-param-reassign */
+  if (frame.type === PROFILER_FRAME_TYPES.RUN) {
+    stats.runCount += 1;
+    stats.inclusiveRunTime += inclusiveTime;
+    stats.userCodeTime += exclusiveTime;
+  } else {
+    stats.dependencyCheckCount += 1;
+    stats.inclusiveDependencyCheckTime += inclusiveTime;
+    stats.dependencyCheckTime += exclusiveTime;
+  }
+  /* eslint-enable no-param-reassign */
+};
+
+
+/**
+ * Starts (or restarts) profiling in the active selector context. Anything profiled before is discarded.
+ */
+const startProfiling = () => {
+  getActiveContext().profile = createProfile();
+};
+
+/**
+ * Stops profiling in the active selector context. What's been profiled so far is kept for getProfilerReport.
+ */
+const stopProfiling = () => {
+  const { profile } = getActiveContext();
+  if (profile) {
+    profile.isRecording = false;
+    profile.openFrames = [];
+  }
+};
+
+
+/**
+ * Selectors call this when they start a run or a dependency check. It returns null unless the profiler is on,
+ * and whatever it returns must be passed to endProfilerFrame.
+ */
+const startProfilerFrame = (type, parameterizedSelector, keyParams) => {
+  const { profile } = getActiveContext();
+  if (!profile || !profile.isRecording) {
+    return null;
+  }
+  const frame = {
+    type,
+    parameterizedSelector,
+    keyParams,
+    startTime: getTimestamp(),
+    nestedTime: 0,
+  };
+  profile.openFrames.push(frame);
+  return frame;
+};
+
+const endProfilerFrame = (frame) => {
+  const { profile } = getActiveContext();
+  if (!frame || !profile || profile.openFrames.indexOf(frame) === -1) {
+    // The profiler was restarted or stopped in the meantime
+    return;
+  }
+  const inclusiveTime = getTimestamp() - frame.startTime;
+  const exclusiveTime = inclusiveTime - frame.nestedTime;
+
+  // If something threw past the frames above this one, they're abandoned
+  profile.openFrames.length = profile.openFrames.indexOf(frame);
+  const parentFrame = profile.openFrames[profile.openFrames.length - 1];
+  if (parentFrame) {
+    parentFrame.nestedTime += inclusiveTime;
+  }
+
+  const { parameterizedSelector } = frame;
+  if (!profile.statsBySelector.has(parameterizedSelector)) {
+    profile.statsBySelector.set(parameterizedSelector, createStats());
+    profile.statsByParams.set(parameterizedSelector, new Map());
+  }
+  const keyParamsString = parameterizedSelector.createKeyFromParams(frame.keyParams);
+  const statsForSelector = profile.statsByParams.get(parameterizedSelector);
+  if (!statsForSelector.has(keyParamsString)) {
+    statsForSelector.set(keyParamsString, createStats());
+  }
+
+  addFrameToStats(profile.statsBySelector.get(parameterizedSelector), frame, inclusiveTime, exclusiveTime);
+  addFrameToStats(statsForSelector.get(keyParamsString), frame, inclusiveTime, exclusiveTime);
+};
+
+
+/**
+ * This summarizes the profile from the active selector context. Format: {
+ *    userCodeTime,             // Total time in the selectors' own code
+ *    dependencyCheckTime,      // Total time in dependency checks, outside of the selectors they ran
+ *    slowestSelectors: [
+ *      { displayName, selfTime, runCount, inclusiveRunTime, userCodeTime, dependencyCheckCount,
+ *        inclusiveDependencyCheckTime, dependencyCheckTime },
+ *      ...
+ *    ],
+ *    mostExpensiveParams: [
+ *      { displayName, keyParamsString, selfTime, ...the same as above },
+ *      ...
+ *    ],
+ *  }
+ *
+ * Both lists are ordered by selfTime (userCodeTime + dependencyCheckTime), highest first, and cut off after
+ * `limit` entries.
+ *
+ * @param {Object} reportOptions optional
+ */
+const getProfilerReport = ({ limit = 10 } = {}) => {
+  const { profile } = getActiveContext();
+  const report = {
+    userCodeTime: 0,
+    dependencyCheckTime: 0,
+    slowestSelectors: [],
+    mostExpensiveParams: [],
+  };
+  if (!profile) {
+    return report;
+  }
+
+  const createEntry = (stats, entryValues) => ({
+    ...entryValues,
+    selfTime: stats.userCodeTime + stats.dependencyCheckTime,
+    ...stats,
+  });
+  const bySelfTime = (entry, otherEntry) => otherEntry.selfTime - entry.selfTime;
+
+  profile.statsBySelector.forEach((stats, parameterizedSelector) => {
+    const { displayName } = parameterizedSelector;
+    report.userCodeTime += stats.userCodeTime;
+    report.dependencyCheckTime += stats.dependencyCheckTime;
+    report.slowestSelectors.push(createEntry(stats, { displayName }));
+
+    profile.statsByParams.get(parameterizedSelector).forEach((statsForParams, keyParamsString) => {
+      report.mostExpensiveParams.push(createEntry(statsForParams, { displayName, keyParamsString }));
+    });
+  });
+
+  report.slowestSelectors = report.slowestSelectors.sort(bySelfTime).slice(0, limit);
+  report.mostExpensiveParams = report.mostExpensiveParams.sort(bySelfTime).slice(0, limit);
+  return report;
+};
+
+
+/**
+ * Formats the report as text tables, e.g. for the console. Times are in milliseconds.
+ *
+ * @param {Object} report required
+ */
+const profilerReportToTable = (report) => {
+  const formatTime = time => time.toFixed(2);
+  const padding = width => new Array(width + 1).join(' ');
+  const columns = [
+    ['self', entry => formatTime(entry.selfTime)],
+    ['runs', entry => String(entry.runCount)],
+    ['user code', entry => formatTime(entry.userCodeTime)],
+    ['inclusive', entry => formatTime(entry.inclusiveRunTime)],
+    ['checks', entry => String(entry.dependencyCheckCount)],
+    ['checking', entry => formatTime(entry.dependencyCheckTime)],
+    ['inclusive', entry => formatTime(entry.inclusiveDependencyCheckTime)],
+  ];
+
+  const formatTable = (title, entries, getName) => {
+    const rows = [
+      [title, ...columns.map(([heading]) => heading)],
+      ...entries.map(entry => [getName(entry), ...columns.map(([, getValue]) => getValue(entry))]),
+    ];
+    const widths = rows[0].map((cell, index) => Math.max(...rows.map(row => row[index].length)));
+    return rows.map(row => row
+      .map((cell, index) => {
+        const cellPadding = padding(widths[index] - cell.length);
+        return index === 0 ? `${cell}${cellPadding}` : `${cellPadding}${cell}`;
+      })
+      .join('  ')
+      .replace(/\s+$/, ''));
+  };
+
+  return [
+    `Time in selector code: ${formatTime(report.userCodeTime)}ms`,
+    `Time in dependency checks: ${formatTime(report.dependencyCheckTime)}ms`,
+    '',
+    ...formatTable('Slowest selectors', report.slowestSelectors, entry => entry.displayName),
+    '',
+    ...formatTable(
+      'Most expensive params',
+      report.mostExpensiveParams,
+      entry => `${entry.displayName}(${entry.keyParamsString})`,
+    ),
+  ].join('\n');
+};
+
+
+export {
+  PROFILER_FRAME_TYPES,
+  getTimestamp,
+  startProfiling,
+  stopProfiling,
+  startProfilerFrame,
+  endProfilerFrame,
+  getProfilerReport,
+  profilerReportToTable,
+};
@@ -0,0 +1,118 @@
+import {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useSyncExternalStore,
+} from 'react';
+import { ReactReduxContext } from 'react-redux';
+
+import { getActiveContext } from './selectorContext';
+
+
+/**
+ * Unless a store is passed in explicitly, it comes from a React context. By default that's react-redux's, so that
+ * the store from its `<Provider>` is used; createUseParameterizedSelector (below) can read it from any other.
+ * A context's value can be either the store itself or an object with a `store`, like react-redux's.
+ */
+const getStoreFromContextValue = (storeContextValue) => {
+  if (storeContextValue && typeof storeContextValue.getState === 'function') {
+    return storeContextValue;
+  }
+  return storeContextValue ? storeContextValue.store : null;
+};
+
+
+/**
+ * This is the optional React entry point, available as `parameterized-selectors/react`. It needs React 18 and
+ * react-redux 8.
+ *
+ * `useParameterizedSelector(parameterizedSelector, keyParams, options)` returns whatever the selector returns for
+ * the current state of the store, and re-renders the component only when it returns a new reference. It also checks
+ * again whenever cached results are invalidated, e.g. when an async selector's promise settles. Options:
+ *    store:    A Redux-style store (with `getState` and `subscribe`) to use instead of the one from react-redux's
+ *              `<Provider>` (or from the store context, see above).
+ *    context:  The selector context to run in. By default this is whichever context is active during render.
+ *
+ * The keyParams don't need to be memoized: a new but equivalent object finds the same result in the selector's
+ * cache, so it's treated as the same params.
+ *
+ * This is built on `useSyncExternalStore`, so it's safe under concurrent rendering: every render within a single
+ * commit sees the same state and, for that state, the same return value.
+ *
+ * createUseParameterizedSelector(storeContext) builds a version of the hook that reads the store from a different
+ * React context, e.g. one that holds a store which isn't react-redux's. Each version of the hook only affects the
+ * components that use it.
+ *
+ * @param {Object} storeContext required
+ */
+const createUseParameterizedSelector = storeContext => (parameterizedSelector, keyParams, options = {}) => {
+  const storeContextValue = useContext(storeContext);
+  const store = options.store || getStoreFromContextValue(storeContextValue);
+  if (!store) {
+    throw new Error('useParameterizedSelector: no store was given, and there is no <Provider> (or other store context) to get one from.');
+  }
+  const selectorContext = options.context || getActiveContext();
+
+  // getSnapshot must give the same value each time it's called for the same state. The selector's own cache nearly
+  // always does that, but its result may have been evicted or invalidated in between, so we hand back the value we
+  // saw last for the same state and params instead. That's either from this render or from the last commit: the ref
+  // is only written in an effect, so a render that's thrown away leaves nothing behind.
+  const committedSnapshotRef = useRef(null);
+  let lastSnapshot = null;
+  useEffect(() => {
+    if (lastSnapshot) {
+      committedSnapshotRef.current = lastSnapshot;
+    }
+  });
+
+  // Equivalent params find the same result in the selector's cache, so they don't need to be the same object.
+  // After an invalidation, the selector may have something new even for the same state.
+  const isSnapshotFor = (snapshot, state) => !!snapshot
+    && snapshot.state === state
+    && snapshot.cacheInvalidationCount === selectorContext.cacheInvalidationCount
+    && snapshot.parameterizedSelector === parameterizedSelector
+    && snapshot.selectorContext === selectorContext
+    && (snapshot.keyParams === keyParams || (!!snapshot.resultRecord
+      && snapshot.resultRecord === selectorContext.run(parameterizedSelector.getCachedResultRecord, keyParams)));
+
+  const getSnapshot = () => {
+    const state = store.getState();
+    const previousSnapshot = lastSnapshot || committedSnapshotRef.current;
+    if (isSnapshotFor(previousSnapshot, state)) {
+      return previousSnapshot.returnValue;
+    }
+
+    const returnValue = selectorContext.run(parameterizedSelector, state, keyParams);
+    lastSnapshot = {
+      state,
+      cacheInvalidationCount: selectorContext.cacheInvalidationCount,
+      parameterizedSelector,
+      keyParams,
+      selectorContext,
+      resultRecord: selectorContext.run(parameterizedSelector.getCachedResultRecord, keyParams),
+      returnValue,
+    };
+    return returnValue;
+  };
+
+  // Invalidations (including async selectors settling) can change the result without a new state
+  const subscribe = useCallback((onStoreChange) => {
+    const unsubscribeFromStore = store.subscribe(onStoreChange);
+    const unsubscribeFromInvalidations = selectorContext.subscribeToInvalidations(onStoreChange);
+    return () => {
+      unsubscribeFromStore();
+      unsubscribeFromInvalidations();
+    };
+  }, [store, selectorContext]);
+
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+};
+
+// This reads the store from react-redux's `<Provider>`
+const useParameterizedSelector = createUseParameterizedSelector(ReactReduxContext);
+
+export {
+  createUseParameterizedSelector,
+  useParameterizedSelector,
+};
@@ -0,0 +1,34 @@
+import { getStateForCurrentCall } from './parameterizedSelectorFactory';
+
+
+/**
+ * This turns a parameterized selector into a plain `(state, props) => value` function, which Reselect's
+ * `createSelector` (or anything else that expects a normal selector) can use as an input. `getKeyParams` builds
+ * the params from the same arguments; without it the selector is called without params.
+ *
+ *    const selectAuthorForProps = toReselectInput(selectAuthor, (state, props) => ({ authorId: props.authorId }));
+ *    const selectAuthorLabel = createSelector(selectAuthorForProps, author => `${author.name} (${author.id})`);
+ *
+ * The parameterized selector keeps its own cache, and since it returns the same reference until something it
+ * depends on changes, the Reselect selectors downstream only recompute when they need to.
+ *
+ * If it ends up being called from within a parameterized selector, the state from that selector is used, just
+ * as if the parameterized selector had been called directly.
+ *
+ * @param {Function} parameterizedSelector required
+ * @param {Function} getKeyParams optional
+ */
+const toReselectInput = (parameterizedSelector, getKeyParams) => {
+  const reselectInput = (state, ...otherArgs) => {
+    const keyParams = getKeyParams ? getKeyParams(state, ...otherArgs) : undefined;
+    if (getStateForCurrentCall() !== undefined) {
+      return parameterizedSelector(keyParams);
+    }
+    return parameterizedSelector(state, keyParams);
+  };
+  reselectInput.displayName = `toReselectInput(${parameterizedSelector.displayName})`;
+  return reselectInput;
+};
+
+
+export default toReselectInput;
@@ -0,0 +1,118 @@
+/**
+ * A selector context holds everything that selectors accumulate as they run: their cached results, their
+ * counters, and the call stack used to record dependencies. The selectors themselves are only definitions,
+ * so the same selectors can be used in several contexts at once -- e.g., one per server-side request, one per
+ * test, or one per embedded widget -- without seeing each other's results.
+ *
+ * Selectors use whichever context is active when they're called. Unless another context is running, that's
+ * the default context, which lives forever.
+ */
+let numContexts = 0;
+let activeContext = null;
+
+const createSelectorContext = (displayName) => {
+  numContexts += 1;
+
+  /**
+   * Each selector's cache and counters for this context, created the first time the selector is used here.
+   * This is weak so that a selector which is no longer referenced anywhere else takes its cache with it, even
+   * in the default context.
+   * Format: WeakMap {
+   *    [parameterizedSelector]: selectorInstance,
+   *    ...
+   *  }
+   */
+  const selectorInstances = new WeakMap();
+
+  const context = {
+    displayName: displayName || `selectorContext(#${numContexts})`,
+
+    // These are only touched by the selectors themselves
+    callStack: [],
+    cacheInvalidationCount: 0,
+    getSelectorInstance: (parameterizedSelector, createSelectorInstance) => {
+      let selectorInstance = selectorInstances.get(parameterizedSelector);
+      if (!selectorInstance) {
+        selectorInstance = createSelectorInstance();
+        selectorInstances.set(parameterizedSelector, selectorInstance);
+      }
+      return selectorInstance;
+    },
+
+    // This is only set while selectMany is running, so that its selectors can share dependency checks
+    sharedDependencyResults: null,
+
+    // This is only set while the profiler is in use (see ./profiler.js)
+    profile: null,
+  };
+
+  /**
+   * Calls the listener whenever cached results in this context get invalidated -- explicitly, or by an async
+   * selector's promise settling -- so that subscribers can look for new results even though the state hasn't
+   * changed. Listeners are called once the current synchronous work is done, so that several invalidations in a
+   * row (like those from invalidateTags) only call them once, and never while a selector is running.
+   *
+   * Returns a function that unsubscribes.
+   *
+   * @param {Function} listener required
+   */
+  let invalidationListeners = [];
+  let hasPendingInvalidation = false;
+  context.subscribeToInvalidations = (listener) => {
+    invalidationListeners = [...invalidationListeners, listener];
+    return () => {
+      invalidationListeners = invalidationListeners.filter(otherListener => otherListener !== listener);
+    };
+  };
+
+  // The selectors call this each time they bump cacheInvalidationCount
+  context.notifyInvalidation = () => {
+    if (hasPendingInvalidation || !invalidationListeners.length) {
+      return;
+    }
+    hasPendingInvalidation = true;
+    Promise.resolve().then(() => {
+      hasPendingInvalidation = false;
+      invalidationListeners.forEach((listener) => {
+        try {
+          listener();
+        } catch (errorFromListener) {
+          // This becomes an unhandled rejection of its own, so that the other listeners still get called
+          Promise.reject(errorFromListener);
+        }
+      });
+    });
+  };
+
+  /**
+   * Runs the given function with this as the active context, and returns whatever it returns. Note that only
+   * the synchronous part of the function runs in this context: anything it schedules for later will run in
+   * whichever context is active at that time.
+   *
+   * @param {Function} fn required
+   * @param {...*} args optional
+   */
+  context.run = (fn, ...args) => {
+    const previousContext = activeContext;
+    activeContext = context;
+    try {
+      return fn(...args);
+    } finally {
+      activeContext = previousContext;
+    }
+  };
+
+  return context;
+};
+
+const defaultSelectorContext = createSelectorContext('defaultSelectorContext');
+activeContext = defaultSelectorContext;
+
+const getActiveContext = () => activeContext;
+
+
+export {
+  createSelectorContext,
+  defaultSelectorContext,
+  getActiveContext,
+};
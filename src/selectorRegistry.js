@@ -0,0 +1,259 @@
+/* global WeakRef, FinalizationRegistry */
+import { assertRuntimeOptions } from './optionsValidation';
+
+
+/**
+ * Every parameterizedSelector registers itself in the default registry when it's created, so that library-wide
+ * operations (like invalidateTags) can reach all of them. A selector can also be given a scoped registry, via its
+ * `registry` option, to group it with related selectors -- e.g. those of one feature, one widget, or one test --
+ * so that they can be looked up, reset or cleared together. Selectors in a scoped registry are still in the
+ * default registry as well, which is where things like `rehydrate` look them up: so each live selector needs a
+ * displayName of its own, whichever registry it's in.
+ *
+ * Registries only hold their selectors weakly: once nothing else references a selector, it drops out of every
+ * registry on its own, along with its cache (see ./selectorContext.js). Calling `unregister()` just makes that
+ * happen right away. This relies on WeakRef and FinalizationRegistry, which is why Node 14.6 is the minimum.
+ */
+let numRegistries = 0;
+
+
+const createSelectorRegistry = (displayName) => {
+  numRegistries += 1;
+
+  /**
+   * Each registered selector has an entry like: {
+   *    selectorRef,    // A WeakRef to the selector
+   *    displayName,    // The displayName it's listed under
+   *  }
+   * selectorEntries keeps them in the order they were registered. They can also be found by selector, and by
+   * displayName, so that registering, unregistering and lookups don't need to go through all of them.
+   */
+  const selectorEntries = new Set();
+  const selectorEntriesBySelector = new WeakMap();
+  const selectorEntriesByDisplayName = new Map();
+
+  const addToDisplayName = (selectorEntry) => {
+    if (!selectorEntriesByDisplayName.has(selectorEntry.displayName)) {
+      selectorEntriesByDisplayName.set(selectorEntry.displayName, new Set());
+    }
+    selectorEntriesByDisplayName.get(selectorEntry.displayName).add(selectorEntry);
+  };
+  const removeFromDisplayName = (selectorEntry) => {
+    const selectorEntriesForDisplayName = selectorEntriesByDisplayName.get(selectorEntry.displayName);
+    if (selectorEntriesForDisplayName) {
+      selectorEntriesForDisplayName.delete(selectorEntry);
+      if (!selectorEntriesForDisplayName.size) {
+        selectorEntriesByDisplayName.delete(selectorEntry.displayName);
+      }
+    }
+  };
+
+  const removeSelectorEntry = (selectorEntry) => {
+    selectorEntries.delete(selectorEntry);
+    removeFromDisplayName(selectorEntry);
+  };
+  // Once a selector has been garbage-collected, this clears out its entry
+  const selectorEntryCleanup = new FinalizationRegistry(removeSelectorEntry);
+
+  // The selectors which are still around, in the order they were registered
+  const getLiveSelectors = (entries = selectorEntries) => {
+    const liveSelectors = [];
+    entries.forEach((selectorEntry) => {
+      const parameterizedSelector = selectorEntry.selectorRef.deref();
+      if (parameterizedSelector) {
+        liveSelectors.push(parameterizedSelector);
+      }
+    });
+    return liveSelectors;
+  };
+
+  const registry = {
+    displayName: displayName || `selectorRegistry(#${numRegistries})`,
+  };
+
+  // This gives the number of other live selectors in the registry that have the same displayName as this one
+  const countOtherSelectorsWithDisplayName = parameterizedSelector => getLiveSelectors(
+    selectorEntriesByDisplayName.get(parameterizedSelector.displayName) || [],
+  ).filter(otherSelector => otherSelector !== parameterizedSelector).length;
+
+  /**
+   * Selectors are added by the factory, through registerSelector below. This returns the number of other live
+   * selectors that already have its displayName.
+   *
+   * @param {Function} parameterizedSelector required
+   */
+  registry.registerSelector = (parameterizedSelector) => {
+    if (selectorEntriesBySelector.has(parameterizedSelector)) {
+      return countOtherSelectorsWithDisplayName(parameterizedSelector);
+    }
+    const selectorEntry = {
+      selectorRef: new WeakRef(parameterizedSelector),
+      displayName: parameterizedSelector.displayName,
+    };
+    selectorEntries.add(selectorEntry);
+    selectorEntriesBySelector.set(parameterizedSelector, selectorEntry);
+    addToDisplayName(selectorEntry);
+    selectorEntryCleanup.register(parameterizedSelector, selectorEntry, selectorEntry);
+    return countOtherSelectorsWithDisplayName(parameterizedSelector);
+  };
+
+  /**
+   * The factory calls this, through updateSelectorDisplayName below, when a selector's displayName changes. Like
+   * registerSelector, this returns the number of other live selectors that already have the new displayName.
+   *
+   * @param {Function} parameterizedSelector required
+   */
+  registry.updateSelectorDisplayName = (parameterizedSelector) => {
+    const selectorEntry = selectorEntriesBySelector.get(parameterizedSelector);
+    if (!selectorEntry) {
+      return 0;
+    }
+    removeFromDisplayName(selectorEntry);
+    selectorEntry.displayName = parameterizedSelector.displayName;
+    addToDisplayName(selectorEntry);
+    return countOtherSelectorsWithDisplayName(parameterizedSelector);
+  };
+
+  /**
+   * Removes the selector from the registry, e.g. because it's being replaced. Returns whether it was there.
+   *
+   * @param {Function} parameterizedSelector required
+   */
+  registry.unregisterSelector = (parameterizedSelector) => {
+    const selectorEntry = selectorEntriesBySelector.get(parameterizedSelector);
+    if (!selectorEntry) {
+      return false;
+    }
+    removeSelectorEntry(selectorEntry);
+    selectorEntriesBySelector.delete(parameterizedSelector);
+    selectorEntryCleanup.unregister(selectorEntry);
+    return true;
+  };
+
+  registry.getAllSelectors = () => getLiveSelectors();
+
+  // If several live selectors share a displayName, the most recently registered one wins. That was already warned
+  // about when the second one was registered.
+  registry.getSelectorByDisplayName = (selectorDisplayName) => {
+    const matchingSelectors = getLiveSelectors(selectorEntriesByDisplayName.get(selectorDisplayName) || []);
+    return matchingSelectors.length ? matchingSelectors[matchingSelectors.length - 1] : null;
+  };
+
+  // Like the selectors' own methods, these apply to the active selector context.
+  registry.resetAllCounts = () => {
+    getLiveSelectors().forEach(parameterizedSelector => parameterizedSelector.resetCounts());
+  };
+
+  // Returns the total number of results that were dropped
+  registry.clearAllCaches = () => getLiveSelectors()
+    .reduce((numResultRecords, parameterizedSelector) => numResultRecords + parameterizedSelector.clearCache(), 0);
+
+  // This calls setOptions() on every selector in the registry
+  registry.setAllOptions = (runtimeOptions) => {
+    assertRuntimeOptions(runtimeOptions, `${registry.displayName}.setAllOptions`);
+    getLiveSelectors().forEach(parameterizedSelector => parameterizedSelector.setOptions(runtimeOptions));
+  };
+
+  // This adds up the getAllGlobalCounts() of every selector in the registry.
+  registry.getAllGlobalCounts = () => {
+    const allGlobalCounts = {
+      globalInvokeCount: 0,
+      globalSkippedRunCount: 0,
+      globalPhantomRunCount: 0,
+      globalFullRunCount: 0,
+      globalAbortedRunCount: 0,
+      globalEvictionCount: 0,
+      globalPrefetchedRunCount: 0,
+      globalPrefetchHitCount: 0,
+    };
+    getLiveSelectors().forEach((parameterizedSelector) => {
+      const globalCounts = parameterizedSelector.getAllGlobalCounts();
+      Object.keys(allGlobalCounts).forEach((countName) => {
+        allGlobalCounts[countName] += globalCounts[countName];
+      });
+    });
+    return allGlobalCounts;
+  };
+
+  return registry;
+};
+
+const defaultSelectorRegistry = createSelectorRegistry('defaultSelectorRegistry');
+
+
+/**
+ * Every live selector needs a displayName of its own, since lookups (like `rehydrate`) only find the newest
+ * selector with a given name. Selectors in a scoped registry are in the default registry too, so that's where any
+ * other selectors with the same name are found.
+ */
+const warnIfDisplayNameIsShared = (parameterizedSelector, numOtherSelectors) => {
+  const { warningsEnabled, warningsCallback } = parameterizedSelector.getOptions();
+  if (numOtherSelectors && warningsEnabled) {
+    warningsCallback(`${parameterizedSelector.displayName} has the same displayName as ${numOtherSelectors} other live selector(s): looking it up by displayName will only find the newest one`, {
+      displayName: parameterizedSelector.displayName,
+    });
+  }
+};
+
+// The factory calls this for each new selector, with its `registry` option.
+const registerSelector = (parameterizedSelector, scopedRegistry) => {
+  if (scopedRegistry && scopedRegistry !== defaultSelectorRegistry) {
+    scopedRegistry.registerSelector(parameterizedSelector);
+  }
+  warnIfDisplayNameIsShared(parameterizedSelector, defaultSelectorRegistry.registerSelector(parameterizedSelector));
+};
+
+// The factory calls this when a selector's displayName is changed through setOptions.
+const updateSelectorDisplayName = (parameterizedSelector, scopedRegistry) => {
+  if (scopedRegistry && scopedRegistry !== defaultSelectorRegistry) {
+    scopedRegistry.updateSelectorDisplayName(parameterizedSelector);
+  }
+  warnIfDisplayNameIsShared(
+    parameterizedSelector,
+    defaultSelectorRegistry.updateSelectorDisplayName(parameterizedSelector),
+  );
+};
+
+/**
+ * Removes the selector from the default registry and, if given, a scoped registry. Library-wide operations
+ * (like invalidateTags) and lookups by displayName won't find it anymore, even if the selector itself is still
+ * referenced somewhere.
+ */
+const unregisterSelector = (parameterizedSelector, scopedRegistry) => {
+  const wasRegistered = defaultSelectorRegistry.unregisterSelector(parameterizedSelector);
+  if (scopedRegistry && scopedRegistry !== defaultSelectorRegistry) {
+    return scopedRegistry.unregisterSelector(parameterizedSelector) || wasRegistered;
+  }
+  return wasRegistered;
+};
+
+// These are shorthands for the default registry's methods
+const getAllSelectors = () => defaultSelectorRegistry.getAllSelectors();
+const getSelectorByDisplayName = displayName => defaultSelectorRegistry.getSelectorByDisplayName(displayName);
+const resetAllCounts = () => defaultSelectorRegistry.resetAllCounts();
+const clearAllCaches = () => defaultSelectorRegistry.clearAllCaches();
+const getAllGlobalCounts = () => defaultSelectorRegistry.getAllGlobalCounts();
+
+/**
+ * This changes the given options for every selector that exists so far, e.g. from the browser console:
+ *    setGlobalOptions({ verboseLoggingEnabled: true });
+ * Selectors created afterwards still get their options from the factory that creates them (see withOptions.)
+ *
+ * @param {Object} runtimeOptions required
+ */
+const setGlobalOptions = runtimeOptions => defaultSelectorRegistry.setAllOptions(runtimeOptions);
+
+
+export {
+  createSelectorRegistry,
+  defaultSelectorRegistry,
+  registerSelector,
+  updateSelectorDisplayName,
+  unregisterSelector,
+  getAllSelectors,
+  getSelectorByDisplayName,
+  resetAllCounts,
+  clearAllCaches,
+  getAllGlobalCounts,
+  setGlobalOptions,
+};
@@ -0,0 +1,90 @@
+import { getStateForCurrentCall } from './parameterizedSelectorFactory';
+
+
+/**
+ * A bound selector reads `store.getState()` itself, so call sites outside of other selectors don't need to pass
+ * the state. Inside another selector it behaves exactly like the original, since the state comes from the
+ * caller there anyway.
+ *
+ * All of the original selector's helpers are carried over; the ones that take a state (`hasCachedResult`,
+ * `selectMany` and `precompute`) or a store (`subscribe`) get it filled in as well. The rest are read from the
+ * original each time, so that a later change (like a new displayName from setOptions) shows up here too.
+ *
+ * @param {Object} store required
+ * @param {Function} parameterizedSelector required
+ */
+const bindSelectorToStore = (store, parameterizedSelector) => {
+  const withStateFromStore = fn => (...args) => {
+    if (getStateForCurrentCall() !== undefined) {
+      return fn(...args);
+    }
+    return fn(store.getState(), ...args);
+  };
+  const boundSelector = withStateFromStore(parameterizedSelector);
+  const boundHelpers = {
+    hasCachedResult: withStateFromStore(parameterizedSelector.hasCachedResult),
+    selectMany: withStateFromStore(parameterizedSelector.selectMany),
+    // Precomputing may be spread out over time, so each part of it reads the store again
+    precompute: (...args) => parameterizedSelector.precompute(store.getState, ...args),
+    subscribe: (keyParams, listener) => parameterizedSelector.subscribe(store, keyParams, listener),
+  };
+
+  Object.keys(parameterizedSelector).forEach((helperName) => {
+    if (!Object.prototype.hasOwnProperty.call(boundHelpers, helperName)) {
+      Object.defineProperty(boundSelector, helperName, {
+        get: () => parameterizedSelector[helperName],
+        enumerable: true,
+      });
+    }
+  });
+  Object.assign(boundSelector, boundHelpers);
+
+  return boundSelector;
+};
+
+/**
+ * `bindSelectorsToStore(store, { selectA, selectB })` returns `{ selectA, selectB }`, bound to the store.
+ *
+ * @param {Object} store required
+ * @param {Object} selectorsByName required
+ */
+const bindSelectorsToStore = (store, selectorsByName) => {
+  const boundSelectorsByName = {};
+  Object.keys(selectorsByName).forEach((selectorName) => {
+    boundSelectorsByName[selectorName] = bindSelectorToStore(store, selectorsByName[selectorName]);
+  });
+  return boundSelectorsByName;
+};
+
+
+/**
+ * This builds a mapStateToProps function for react-redux's `connect`, from a description of each prop:
+ *    createMapStateToProps({
+ *      books: [selectAllBooksForAuthor, ownProps => ({ authorId: ownProps.authorId })],
+ *      authorCount: [selectAuthorCount],
+ *    })
+ *
+ * Params are optional: if there's no function for them, the selector is called without any. Since the selectors
+ * return the same references until something changes, connect's shallow comparison of the props just works.
+ *
+ * @param {Object} selectorsAndParamsByPropName required
+ */
+const createMapStateToProps = (selectorsAndParamsByPropName) => {
+  const propNames = Object.keys(selectorsAndParamsByPropName);
+
+  return (state, ownProps) => {
+    const stateProps = {};
+    propNames.forEach((propName) => {
+      const [parameterizedSelector, getKeyParams] = selectorsAndParamsByPropName[propName];
+      const keyParams = getKeyParams ? getKeyParams(ownProps) : undefined;
+      stateProps[propName] = parameterizedSelector(state, keyParams);
+    });
+    return stateProps;
+  };
+};
+
+
+export {
+  bindSelectorsToStore,
+  createMapStateToProps,
+};
@@ -0,0 +1,83 @@
+import { getActiveContext } from './selectorContext';
+
+
+/**
+ * This lets consumers outside of React (like websocket bridges or analytics) react to derived data without
+ * polling. It's what `parameterizedSelector.subscribe(store, keyParams, listener)` uses.
+ *
+ * The store needs Redux-style `getState()` and `subscribe(callback)` methods. Whenever it has a new state,
+ * the selector is called as usual -- which only re-runs it if its dependencies changed -- and the listener
+ * is called with `(newReturnValue, previousReturnValue)` if it returned something new. Since phantom runs
+ * give back the previous return value (according to `compareSelectorResults`), they don't count as new.
+ *
+ * Results can also change without a new state: when cached results are invalidated, or when an async selector's
+ * promise settles. After that, the selector is called again with the store's current state (which re-runs it only
+ * if it depended on something that was invalidated), and the listener is called in the same way.
+ *
+ * The selector always runs in whichever selector context was active when this was called. Any exception it
+ * throws gets thrown to the store, just as it would for any other caller. After an invalidation there's no
+ * caller to throw it to, so it's only reported through the selector's exceptionCallback. Exceptions from the
+ * listener itself are never caught.
+ *
+ * Returns a function that unsubscribes.
+ *
+ * @param {Function} parameterizedSelector required
+ * @param {Object} store required
+ * @param {*} keyParams required
+ * @param {Function} listener required
+ */
+const subscribeToSelector = (parameterizedSelector, store, keyParams, listener) => {
+  const context = getActiveContext();
+
+  let lastState = store.getState();
+  let lastReturnValue = context.run(parameterizedSelector, lastState, keyParams);
+  let isSubscribed = true;
+
+  const runSelector = (state) => {
+    lastState = state;
+    return context.run(parameterizedSelector, state, keyParams);
+  };
+
+  const callListenerIfNew = (returnValue) => {
+    if (returnValue !== lastReturnValue) {
+      const previousReturnValue = lastReturnValue;
+      lastReturnValue = returnValue;
+      listener(returnValue, previousReturnValue);
+    }
+  };
+
+  const unsubscribeFromStore = store.subscribe(() => {
+    const state = store.getState();
+    // Stores may notify even when nothing changed; the listener may also have unsubscribed mid-dispatch
+    if (!isSubscribed || state === lastState) {
+      return;
+    }
+    callListenerIfNew(runSelector(state));
+  });
+
+  const unsubscribeFromInvalidations = context.subscribeToInvalidations(() => {
+    if (!isSubscribed) {
+      return;
+    }
+    let returnValue;
+    try {
+      returnValue = runSelector(store.getState());
+    } catch (e) {
+      // The selector already reported it through its exceptionCallback
+      return;
+    }
+    // Anything the listener throws isn't ours to catch
+    callListenerIfNew(returnValue);
+  });
+
+  return () => {
+    if (isSubscribed) {
+      isSubscribed = false;
+      unsubscribeFromStore();
+      unsubscribeFromInvalidations();
+    }
+  };
+};
+
+
+export default subscribeToSelector;
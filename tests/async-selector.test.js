@@ -0,0 +1,293 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  ASYNC_STATUSES,
+  CACHE_PRESETS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createParameterizedAsyncSelector,
+  createSelectorContext,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+// A promise that the test resolves or rejects by hand
+const createDeferred = () => {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  return deferred;
+};
+
+describe('Async selectors', () => {
+  const initialState = {
+    lookupTableUrlByName: {
+      authors: '/authors.json',
+      genres: '/genres.json',
+    },
+    localeId: 'en',
+  };
+
+  let selectLookupTableUrl;
+  let selectLocaleId;
+  let deferredsByUrl;
+  let fetchCalls;
+  let selectLookupTable;
+
+  const fetchLookupTable = (url, localeId) => {
+    fetchCalls.push([url, localeId]);
+    const deferred = createDeferred();
+    deferredsByUrl[url] = deferred;
+    return deferred.promise;
+  };
+
+  beforeEach(() => {
+    selectLookupTableUrl = createParameterizedRootSelector(
+      (state, { name }) => state.lookupTableUrlByName[name],
+      { displayName: 'selectLookupTableUrl' },
+    );
+    selectLocaleId = createParameterizedRootSelector(
+      state => state.localeId,
+      { displayName: 'selectLocaleId' },
+    );
+    deferredsByUrl = {};
+    fetchCalls = [];
+    selectLookupTable = createParameterizedAsyncSelector(
+      ({ name }, select) => fetchLookupTable(
+        select(selectLookupTableUrl, { name }),
+        select(selectLocaleId),
+      ),
+      { displayName: 'selectLookupTable' },
+    );
+  });
+
+  it('should be pending until its promise resolves', () => {
+    const firstResult = selectLookupTable(initialState, { name: 'authors' });
+    assert.deepEqual(firstResult, { status: ASYNC_STATUSES.PENDING, value: undefined, error: null });
+    assert.equal(selectLookupTable(initialState, { name: 'authors' }), firstResult);
+    assert.deepEqual(fetchCalls, [['/authors.json', 'en']]);
+
+    deferredsByUrl['/authors.json'].resolve({ 1: 'Austen' });
+    return selectLookupTable.getPromiseForParams({ name: 'authors' }).then(() => {
+      const secondResult = selectLookupTable(initialState, { name: 'authors' });
+      assert.deepEqual(secondResult, { status: ASYNC_STATUSES.RESOLVED, value: { 1: 'Austen' }, error: null });
+      assert.equal(selectLookupTable(initialState, { name: 'authors' }), secondResult);
+      assert.equal(fetchCalls.length, 1);
+    });
+  });
+
+  it('should let subscribers know when its promise settles', () => {
+    const store = {
+      getState: () => initialState,
+      subscribe: () => () => {},
+    };
+    const calls = [];
+    const unsubscribe = selectLookupTable.subscribe(store, { name: 'authors' }, (...args) => calls.push(args));
+    assert.deepEqual(calls, []);
+
+    deferredsByUrl['/authors.json'].resolve({ 1: 'Austen' });
+    // The listener is called right after the promise settles, without waiting for a new state
+    return selectLookupTable.getPromiseForParams({ name: 'authors' }).then(() => Promise.resolve()).then(() => {
+      assert.equal(calls.length, 1);
+      assert.deepEqual(calls[0][0], { status: ASYNC_STATUSES.RESOLVED, value: { 1: 'Austen' }, error: null });
+      assert.equal(calls[0][1].status, ASYNC_STATUSES.PENDING);
+      unsubscribe();
+    });
+  });
+
+  it('should expose rejections as errors', () => {
+    selectLookupTable(initialState, { name: 'genres' });
+    const error = new Error('Not found');
+    deferredsByUrl['/genres.json'].reject(error);
+
+    return selectLookupTable.getPromiseForParams({ name: 'genres' }).catch(() => {
+      const result = selectLookupTable(initialState, { name: 'genres' });
+      assert.equal(result.status, ASYNC_STATUSES.REJECTED);
+      assert.equal(result.error, error);
+      assert.equal(fetchCalls.length, 1);
+    });
+  });
+
+  it('should run again once a rejected result is invalidated', () => {
+    selectLookupTable(initialState, { name: 'genres' });
+    deferredsByUrl['/genres.json'].reject(new Error('Not found'));
+
+    return selectLookupTable.getPromiseForParams({ name: 'genres' }).catch(() => {
+      assert.equal(selectLookupTable(initialState, { name: 'genres' }).status, ASYNC_STATUSES.REJECTED);
+      assert.equal(fetchCalls.length, 1);
+
+      selectLookupTable.invalidate({ name: 'genres' });
+      assert.equal(selectLookupTable.getPromiseForParams({ name: 'genres' }), null);
+      assert.equal(selectLookupTable(initialState, { name: 'genres' }).status, ASYNC_STATUSES.PENDING);
+      assert.equal(fetchCalls.length, 2);
+
+      selectLookupTable.clearCache();
+      selectLookupTable(initialState, { name: 'genres' });
+      assert.equal(fetchCalls.length, 3);
+    });
+  });
+
+  it('should drop the promises for evicted results', () => {
+    const selectBoundedLookupTable = createParameterizedAsyncSelector(
+      ({ name }, select) => fetchLookupTable(select(selectLookupTableUrl, { name }), select(selectLocaleId)),
+      { displayName: 'selectBoundedLookupTable', maxCacheSize: 1 },
+    );
+    selectBoundedLookupTable(initialState, { name: 'authors' });
+    selectBoundedLookupTable(initialState, { name: 'genres' });
+    assert.isNull(selectBoundedLookupTable.getPromiseForParams({ name: 'authors' }));
+
+    selectBoundedLookupTable(initialState, { name: 'authors' });
+    assert.equal(fetchCalls.length, 3);
+  });
+
+  it('should also treat synchronous exceptions as rejections', () => {
+    const selectBroken = createParameterizedAsyncSelector(() => {
+      throw new Error('Too soon');
+    });
+    selectBroken(initialState, {});
+    return selectBroken.getPromiseForParams({}).catch(() => {
+      assert.equal(selectBroken(initialState, {}).error.message, 'Too soon');
+    });
+  });
+
+  it('should be visible to dependents, which re-run when it settles', () => {
+    const selectAuthorName = createParameterizedSelector(({ authorId }) => {
+      const { status, value } = selectLookupTable({ name: 'authors' });
+      return status === ASYNC_STATUSES.RESOLVED ? value[authorId] : 'Loading';
+    }, { performanceChecksEnabled: true });
+
+    assert.equal(selectAuthorName(initialState, { authorId: 1 }), 'Loading');
+    assert.equal(selectAuthorName(initialState, { authorId: 1 }), 'Loading');
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 1 }), 1);
+
+    deferredsByUrl['/authors.json'].resolve({ 1: 'Austen' });
+    return selectLookupTable.getPromiseForParams({ name: 'authors' }).then(() => {
+      assert.equal(selectAuthorName(initialState, { authorId: 1 }), 'Austen');
+      assert.equal(fetchCalls.length, 1);
+    });
+  });
+
+  it('should re-run when dependencies read before an await change, keeping the previous value', () => {
+    selectLookupTable(initialState, { name: 'authors' });
+    deferredsByUrl['/authors.json'].resolve({ 1: 'Austen' });
+
+    return selectLookupTable.getPromiseForParams({ name: 'authors' }).then(() => {
+      // Unrelated changes don't matter
+      const unrelatedState = {
+        ...initialState,
+        lookupTableUrlByName: { ...initialState.lookupTableUrlByName, genres: '/genres-v2.json' },
+      };
+      assert.equal(selectLookupTable(unrelatedState, { name: 'authors' }).status, ASYNC_STATUSES.RESOLVED);
+      assert.equal(fetchCalls.length, 1);
+
+      const newState = { ...initialState, localeId: 'fr' };
+      const result = selectLookupTable(newState, { name: 'authors' });
+      assert.deepEqual(result, { status: ASYNC_STATUSES.PENDING, value: { 1: 'Austen' }, error: null });
+      assert.deepEqual(fetchCalls, [['/authors.json', 'en'], ['/authors.json', 'fr']]);
+    });
+  });
+
+  it('should re-run when dependencies read after an await change', () => {
+    const calls = [];
+    const selectLocalizedUrl = createParameterizedAsyncSelector(({ name }, select) => {
+      const url = select(selectLookupTableUrl, { name });
+      return Promise.resolve().then(() => {
+        const localeId = select(selectLocaleId);
+        calls.push(localeId);
+        return `${url}?locale=${localeId}`;
+      });
+    });
+
+    selectLocalizedUrl(initialState, { name: 'authors' });
+    return selectLocalizedUrl.getPromiseForParams({ name: 'authors' }).then(() => {
+      assert.equal(selectLocalizedUrl(initialState, { name: 'authors' }).value, '/authors.json?locale=en');
+      assert.deepEqual(calls, ['en']);
+
+      const newState = { ...initialState, localeId: 'de' };
+      assert.equal(selectLocalizedUrl(newState, { name: 'authors' }).status, ASYNC_STATUSES.PENDING);
+      return selectLocalizedUrl.getPromiseForParams({ name: 'authors' }).then(() => {
+        assert.equal(selectLocalizedUrl(newState, { name: 'authors' }).value, '/authors.json?locale=de');
+        assert.deepEqual(calls, ['en', 'de']);
+      });
+    });
+  });
+
+  it('should discard promises from superseded states', () => {
+    const settledCalls = [];
+    selectLookupTable = createParameterizedAsyncSelector(
+      ({ name }, select) => fetchLookupTable(select(selectLookupTableUrl, { name }), select(selectLocaleId)),
+      {
+        onSettled: (keyParams, statusObject) => settledCalls.push([keyParams, statusObject]),
+      },
+    );
+
+    selectLookupTable(initialState, { name: 'authors' });
+    const staleDeferred = deferredsByUrl['/authors.json'];
+    selectLookupTable({ ...initialState, localeId: 'fr' }, { name: 'authors' });
+    const currentDeferred = deferredsByUrl['/authors.json'];
+
+    staleDeferred.resolve({ 1: 'Austen (en)' });
+    currentDeferred.resolve({ 1: 'Austen (fr)' });
+    return Promise.all([staleDeferred.promise, currentDeferred.promise]).then(() => {
+      assert.deepEqual(settledCalls, [
+        [{ name: 'authors' }, { status: ASYNC_STATUSES.RESOLVED, value: { 1: 'Austen (fr)' }, error: null }],
+      ]);
+      assert.deepEqual(
+        selectLookupTable({ ...initialState, localeId: 'fr' }, { name: 'authors' }).value,
+        { 1: 'Austen (fr)' },
+      );
+    });
+  });
+
+  it('should match params the same way as its cache, instead of by string', () => {
+    // Both of these stringify to `{"bookIds":{}}`
+    const firstBookIds = new Set([101]);
+    const secondBookIds = new Set([102, 103]);
+    const deferreds = [];
+    const selectBookCount = createParameterizedAsyncSelector(
+      ({ bookIds }) => {
+        const deferred = createDeferred();
+        deferreds.push(deferred);
+        return deferred.promise.then(() => bookIds.size);
+      },
+      { displayName: 'selectBookCount', createCache: CACHE_PRESETS.NAMED_PARAMS },
+    );
+
+    selectBookCount(initialState, { bookIds: firstBookIds });
+    selectBookCount(initialState, { bookIds: secondBookIds });
+    assert.equal(deferreds.length, 2);
+    assert.notEqual(
+      selectBookCount.getPromiseForParams({ bookIds: firstBookIds }),
+      selectBookCount.getPromiseForParams({ bookIds: secondBookIds }),
+    );
+
+    deferreds.forEach(deferred => deferred.resolve());
+    return Promise.all([
+      selectBookCount.getPromiseForParams({ bookIds: firstBookIds }),
+      selectBookCount.getPromiseForParams({ bookIds: secondBookIds }),
+    ]).then(() => {
+      assert.deepEqual(selectBookCount(initialState, { bookIds: firstBookIds }), {
+        status: ASYNC_STATUSES.RESOLVED, value: 1, error: null,
+      });
+      assert.deepEqual(selectBookCount(initialState, { bookIds: secondBookIds }), {
+        status: ASYNC_STATUSES.RESOLVED, value: 2, error: null,
+      });
+    });
+  });
+
+  it('should keep separate promises for each selector context', () => {
+    const context = createSelectorContext();
+    selectLookupTable(initialState, { name: 'authors' });
+    context.run(selectLookupTable, initialState, { name: 'authors' });
+
+    assert.equal(fetchCalls.length, 2);
+    assert.notEqual(
+      selectLookupTable.getPromiseForParams({ name: 'authors' }),
+      context.run(selectLookupTable.getPromiseForParams, { name: 'authors' }),
+    );
+    assert.isNull(selectLookupTable.getPromiseForParams({ name: 'genres' }));
+  });
+});
@@ -0,0 +1,247 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  invalidateTags,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Cache invalidation', () => {
+  const state = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: { name: 'Bob' },
+    },
+  };
+
+  // Some data lives outside of the state, so the selectors can't tell on their own when it changes.
+  let honorificsByAuthorId;
+  let nameSeparator;
+
+  let selectRawAuthorData;
+  let selectHonorific;
+  let selectAuthorName;
+  let selectAuthorNames;
+
+  beforeEach(() => {
+    honorificsByAuthorId = {
+      1: 'Dr.',
+      2: 'Mr.',
+    };
+    nameSeparator = ', ';
+
+    selectRawAuthorData = createParameterizedRootSelector(
+      (innerState, { authorId }) => innerState.authorDataById[authorId],
+      {
+        displayName: 'selectRawAuthorData',
+        performanceChecksEnabled: true,
+      },
+    );
+    selectHonorific = createParameterizedRootSelector(
+      (innerState, { authorId }) => honorificsByAuthorId[authorId],
+      {
+        displayName: 'selectHonorific',
+        performanceChecksEnabled: true,
+        tags: ({ authorId }) => [`author:${authorId}`],
+      },
+    );
+    selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => `${selectHonorific({ authorId })} ${selectRawAuthorData({ authorId }).name}`,
+      {
+        displayName: 'selectAuthorName',
+        performanceChecksEnabled: true,
+      },
+    );
+    selectAuthorNames = createParameterizedSelector(
+      ({ authorIds }) => authorIds.map(authorId => selectAuthorName({ authorId })).join(nameSeparator),
+      {
+        displayName: 'selectAuthorNames',
+        performanceChecksEnabled: true,
+      },
+    );
+  });
+
+  describe('invalidate', () => {
+    it('should drop the cached result for the given params only', () => {
+      selectAuthorName(state, { authorId: 1 });
+      selectAuthorName(state, { authorId: 2 });
+
+      assert.equal(selectAuthorName.invalidate({ authorId: 1 }), true);
+      assert.equal(selectAuthorName.invalidate({ authorId: 3 }), false);
+
+      assert.equal(selectAuthorName.hasCachedResult(state, { authorId: 2 }), true);
+      selectAuthorName(state, { authorId: 1 });
+      assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 1 }), 1);
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 3);
+    });
+
+    it('should make dependents re-run when a root dependency was invalidated', () => {
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Dr. Alice, Mr. Bob');
+
+      honorificsByAuthorId[1] = 'Prof.';
+      // Nothing knows about the change yet
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Dr. Alice, Mr. Bob');
+
+      selectHonorific.invalidate({ authorId: 1 });
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Prof. Alice, Mr. Bob');
+
+      assert.equal(selectHonorific.getFullRunCountForParams({ authorId: 1 }), 1);
+      assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 1 }), 2);
+      assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 1);
+      assert.equal(selectAuthorNames.getFullRunCountForParams({ authorIds: [1, 2] }), 2);
+    });
+
+    it('should make dependents re-run when an intermediate dependency was invalidated', () => {
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Dr. Alice, Mr. Bob');
+
+      nameSeparator = ' & ';
+      selectAuthorNames.invalidate({ authorIds: [1, 2] });
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Dr. Alice & Mr. Bob');
+
+      // Only the invalidated selector had to re-run
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 2);
+      assert.equal(selectHonorific.getGlobalFullRunCount(), 2);
+    });
+
+    it('should not re-run dependents when an invalidated dependency returns the same value', () => {
+      const authorNames = selectAuthorNames(state, { authorIds: [1, 2] });
+
+      selectRawAuthorData.invalidate({ authorId: 2 });
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), authorNames);
+
+      assert.equal(selectRawAuthorData.getGlobalFullRunCount(), 3);
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 2);
+      assert.equal(selectAuthorNames.getGlobalFullRunCount(), 1);
+      assert.equal(selectAuthorNames.getSkippedRunCountForParams({ authorIds: [1, 2] }), 1);
+    });
+
+    it('should only make the results that depend on an invalidated one check their dependencies', () => {
+      selectAuthorName(state, { authorId: 1 });
+      selectAuthorNames(state, { authorIds: [2] });
+      assert.equal(selectRawAuthorData.getGlobalInvokeCount(), 2);
+
+      selectHonorific.invalidate({ authorId: 2 });
+      selectAuthorName(state, { authorId: 1 });
+      assert.equal(selectRawAuthorData.getGlobalInvokeCount(), 2);
+      assert.equal(selectAuthorName.getSkippedRunCountForParams({ authorId: 1 }), 1);
+
+      // Indirect dependents check theirs, too
+      assert.equal(selectAuthorNames(state, { authorIds: [2] }), 'Mr. Bob');
+      assert.equal(selectRawAuthorData.getGlobalInvokeCount(), 3);
+      assert.equal(selectHonorific.getFullRunCountForParams({ authorId: 2 }), 1);
+      assert.equal(selectAuthorNames.getSkippedRunCountForParams({ authorIds: [2] }), 1);
+    });
+  });
+
+  describe('invalidateWhere', () => {
+    it('should drop each cached result that matches the predicate', () => {
+      selectAuthorNames(state, { authorIds: [1, 2] });
+      honorificsByAuthorId[1] = 'Prof.';
+      honorificsByAuthorId[2] = 'Sir';
+
+      const numInvalidated = selectHonorific.invalidateWhere(
+        (keyParams, returnValue) => keyParams.authorId === 2 || returnValue === 'Dr.',
+      );
+      assert.equal(numInvalidated, 2);
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Prof. Alice, Sir Bob');
+    });
+
+    it('should leave the cache alone when nothing matches', () => {
+      selectAuthorNames(state, { authorIds: [1, 2] });
+
+      assert.equal(selectHonorific.invalidateWhere(() => false), 0);
+      selectAuthorNames(state, { authorIds: [1, 2] });
+      assert.equal(selectHonorific.getGlobalInvokeCount(), 2);
+    });
+
+    it('should let the predicate tell errors apart from return values', () => {
+      const selectNameLength = createParameterizedSelector(
+        ({ authorId }) => selectRawAuthorData({ authorId }).name.length,
+        {
+          displayName: 'selectNameLength',
+          exceptionCallback: () => {},
+        },
+      );
+      assert.equal(selectNameLength(state, { authorId: 1 }), 5);
+      assert.throws(() => selectNameLength(state, { authorId: 3 }), TypeError);
+
+      const numInvalidated = selectNameLength.invalidateWhere((keyParams, returnValue, { error }) => !!error);
+      assert.equal(numInvalidated, 1);
+      assert.equal(selectNameLength.hasCachedResult(state, { authorId: 1 }), true);
+    });
+  });
+
+  describe('clearCache', () => {
+    it('should drop every cached result', () => {
+      selectAuthorNames(state, { authorIds: [1, 2] });
+      honorificsByAuthorId[1] = 'Prof.';
+      honorificsByAuthorId[2] = 'Sir';
+
+      assert.equal(selectHonorific.clearCache(), 2);
+      assert.equal(selectHonorific.hasCachedResult(state, { authorId: 1 }), false);
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Prof. Alice, Sir Bob');
+    });
+  });
+
+  describe('resetCounts', () => {
+    it('should reset the global and per-param counts without affecting the cache', () => {
+      selectAuthorName(state, { authorId: 1 });
+      selectAuthorName(state, { authorId: 1 });
+
+      selectAuthorName.resetCounts();
+      assert.deepEqual(selectAuthorName.getAllGlobalCounts(), {
+        globalInvokeCount: 0,
+        globalSkippedRunCount: 0,
+        globalPhantomRunCount: 0,
+        globalFullRunCount: 0,
+        globalAbortedRunCount: 0,
+        globalEvictionCount: 0,
+        globalPrefetchedRunCount: 0,
+        globalPrefetchHitCount: 0,
+      });
+      assert.equal(selectAuthorName.getInvokeCountForParams({ authorId: 1 }), 0);
+
+      selectAuthorName(state, { authorId: 1 });
+      assert.equal(selectAuthorName.getInvokeCountForParams({ authorId: 1 }), 1);
+      assert.equal(selectAuthorName.getSkippedRunCountForParams({ authorId: 1 }), 1);
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 0);
+    });
+  });
+
+  describe('invalidateTags', () => {
+    beforeEach(() => {
+      // The selectors from earlier tests are still around, with their own tagged results
+      invalidateTags(['author:1', 'author:2']);
+    });
+
+    it('should drop tagged results and everything that depends on them', () => {
+      selectAuthorNames(state, { authorIds: [1, 2] });
+      selectAuthorNames(state, { authorIds: [2] });
+      honorificsByAuthorId[1] = 'Prof.';
+
+      // selectHonorific(1), selectAuthorName(1) and selectAuthorNames([1, 2])
+      assert.equal(invalidateTags(['author:1']), 3);
+
+      assert.equal(selectHonorific.hasCachedResult(state, { authorId: 1 }), false);
+      assert.equal(selectHonorific.hasCachedResult(state, { authorId: 2 }), true);
+      assert.equal(selectAuthorName.getInvokeCountForParams({ authorId: 1 }), 0);
+      assert.equal(selectAuthorName.getInvokeCountForParams({ authorId: 2 }), 2);
+      assert.equal(selectAuthorNames.getInvokeCountForParams({ authorIds: [1, 2] }), 0);
+      assert.equal(selectAuthorNames.getInvokeCountForParams({ authorIds: [2] }), 1);
+      assert.equal(selectRawAuthorData.getInvokeCountForParams({ authorId: 1 }), 1);
+
+      assert.equal(selectAuthorNames(state, { authorIds: [1, 2] }), 'Prof. Alice, Mr. Bob');
+    });
+
+    it('should do nothing when no results have the given tags', () => {
+      selectAuthorNames(state, { authorIds: [1, 2] });
+
+      assert.equal(invalidateTags(['author:3', 'book:1']), 0);
+      selectAuthorNames(state, { authorIds: [1, 2] });
+      assert.equal(selectAuthorNames.getSkippedRunCountForParams({ authorIds: [1, 2] }), 1);
+    });
+  });
+});
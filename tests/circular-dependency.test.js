@@ -0,0 +1,140 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  CircularDependencyError,
+} from '../src/index';
+import { getActiveContext } from '../src/selectorContext';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Circular dependencies', () => {
+  const state = {
+    letterById: {
+      1: 'a',
+      2: 'b',
+      3: 'c',
+    },
+  };
+  const quietOptions = {
+    warningsEnabled: false,
+    warningsCallback: () => {},
+    exceptionCallback: () => {},
+    performanceChecksEnabled: true,
+  };
+
+  const selectLetterById = createParameterizedRootSelector(
+    (innerState, { id }) => innerState.letterById[id],
+    { displayName: 'selectLetterById' },
+  );
+
+  it('should throw when a selector calls itself with the same params', () => {
+    const selectLoop = createParameterizedSelector(
+      ({ id }) => selectLoop({ id }), // eslint-disable-line no-use-before-define
+      {
+        displayName: 'selectLoop',
+        ...quietOptions,
+      },
+    );
+
+    assert.throws(() => selectLoop(state, { id: 1 }), CircularDependencyError);
+    try {
+      selectLoop(state, { id: 1 });
+    } catch (error) {
+      assert.instanceOf(error, Error);
+      assert.deepEqual(error.selectorPath, ['selectLoop({"id":1})', 'selectLoop({"id":1})']);
+      assert.equal(error.message, 'Circular dependency between parameterized selectors: selectLoop({"id":1}) -> selectLoop({"id":1})');
+    }
+  });
+
+  it('should list every selector in the cycle', () => {
+    const selectA = createParameterizedSelector(
+      ({ x }) => selectB({ y: x + 1 }), // eslint-disable-line no-use-before-define
+      {
+        displayName: 'selectA',
+        ...quietOptions,
+      },
+    );
+    const selectB = createParameterizedSelector(
+      ({ y }) => `${selectLetterById({ id: y })}${selectA({ x: y - 1 })}`,
+      {
+        displayName: 'selectB',
+        ...quietOptions,
+      },
+    );
+
+    let thrownError;
+    try {
+      selectA(state, { x: 1 });
+    } catch (error) {
+      thrownError = error;
+    }
+    assert.instanceOf(thrownError, CircularDependencyError);
+    assert.deepEqual(thrownError.selectorPath, [
+      'selectA({"x":1})',
+      'selectB({"y":2})',
+      'selectA({"x":1})',
+    ]);
+
+    // Nothing is left behind
+    assert.equal(getActiveContext().callStack.length, 0);
+    assert.equal(selectLetterById(state, { id: 2 }), 'b');
+  });
+
+  it('should report the error once, through the exceptionCallback', () => {
+    const exceptions = [];
+    const exceptionCallback = (errorMessage, error, details) => exceptions.push({ errorMessage, error, details });
+    const selectA = createParameterizedSelector(
+      ({ x }) => selectB({ y: x + 1 }), // eslint-disable-line no-use-before-define
+      {
+        displayName: 'selectA',
+        ...quietOptions,
+        exceptionCallback,
+      },
+    );
+    const selectB = createParameterizedSelector(
+      ({ y }) => selectA({ x: y - 1 }),
+      {
+        displayName: 'selectB',
+        ...quietOptions,
+        exceptionCallback,
+      },
+    );
+
+    assert.throws(() => selectA(state, { x: 1 }), CircularDependencyError);
+    assert.equal(exceptions.length, 1);
+    const { errorMessage, error, details } = exceptions[0];
+    assert.instanceOf(error, CircularDependencyError);
+    assert.include(errorMessage, 'called itself: selectA({"x":1}) -> selectB({"y":2}) -> selectA({"x":1})');
+    assert.deepEqual(details, {
+      displayName: 'selectA',
+      keyParams: { x: 1 },
+      dependencyPath: ['selectA({"x":1})', 'selectB({"y":2})', 'selectA({"x":1})'],
+    });
+  });
+
+  it('should allow recursion with different params', () => {
+    const selectLetters = createParameterizedSelector(
+      ({ count, reverse }) => {
+        if (reverse) {
+          return [...selectLetters({ count })].reverse(); // eslint-disable-line no-use-before-define
+        }
+        const letters = [];
+        for (let id = 1; id <= count; id += 1) {
+          letters.push(selectLetterById({ id }));
+        }
+        return letters;
+      },
+      {
+        displayName: 'selectLetters',
+        ...quietOptions,
+      },
+    );
+
+    assert.deepEqual(selectLetters(state, { count: 3, reverse: true }), ['c', 'b', 'a']);
+    assert.deepEqual(selectLetters(state, { count: 3 }), ['a', 'b', 'c']);
+    assert.equal(selectLetters.getGlobalFullRunCount(), 2);
+  });
+});
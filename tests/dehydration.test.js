@@ -0,0 +1,251 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  COMPARISON_PRESETS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  dehydrate,
+  rehydrate,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Dehydrating and rehydrating caches', () => {
+  const initialState = {
+    bookDataById: {
+      101: { title: 'Alphabet', authorId: 1 },
+      102: { title: 'Binding', authorId: 2 },
+      103: { title: 'Chapter', authorId: 1 },
+    },
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102],
+    },
+  };
+
+  // The server and the client each create their own copies of the selectors
+  const createSelectors = () => {
+    const selectRawBookData = createParameterizedRootSelector(
+      (state, { bookId }) => state.bookDataById[bookId],
+      {
+        displayName: 'dehydration:selectRawBookData',
+        performanceChecksEnabled: true,
+      },
+    );
+    const selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, { authorId }) => state.bookIdsByAuthorId[authorId],
+      {
+        displayName: 'dehydration:selectBookIdsForAuthor',
+        performanceChecksEnabled: true,
+      },
+    );
+    const selectBook = createParameterizedSelector(
+      ({ bookId }) => ({
+        ...selectRawBookData({ bookId }),
+        bookId,
+      }),
+      {
+        displayName: 'dehydration:selectBook',
+        compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
+        performanceChecksEnabled: true,
+      },
+    );
+    const selectBooksForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor({ authorId }).map(bookId => selectBook({ bookId })),
+      {
+        displayName: 'dehydration:selectBooksForAuthor',
+        compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
+        performanceChecksEnabled: true,
+      },
+    );
+
+    const selectors = {
+      selectRawBookData,
+      selectBookIdsForAuthor,
+      selectBook,
+      selectBooksForAuthor,
+    };
+    return selectors;
+  };
+
+  let serverSelectors;
+  let snapshot;
+
+  beforeEach(() => {
+    serverSelectors = createSelectors();
+    serverSelectors.selectBooksForAuthor(initialState, { authorId: 1 });
+
+    // The snapshot has to survive being sent over the wire
+    snapshot = JSON.parse(JSON.stringify(dehydrate(Object.values(serverSelectors))));
+    // The client's copies would be the only ones around
+    Object.values(serverSelectors).forEach(selector => selector.unregister());
+  });
+
+  it('should capture each cached result by displayName', () => {
+    // Root selectors only contribute the values that other results depended on
+    assert.deepEqual(Object.keys(snapshot.results), [
+      'dehydration:selectBook',
+      'dehydration:selectBooksForAuthor',
+    ]);
+    assert.deepEqual(snapshot.results['dehydration:selectBook'][0], {
+      keyParams: { bookId: 101 },
+      rootDependencies: [
+        ['dehydration:selectRawBookData', { bookId: 101 }],
+      ],
+      ownDependencies: [
+        ['dehydration:selectRawBookData', { bookId: 101 }],
+      ],
+    });
+    assert.deepEqual(snapshot.returnValues['dehydration:selectBook({"bookId":101})'], {
+      title: 'Alphabet',
+      authorId: 1,
+      bookId: 101,
+    });
+    assert.deepEqual(snapshot.returnValues['dehydration:selectRawBookData({"bookId":101})'], {
+      title: 'Alphabet',
+      authorId: 1,
+    });
+    assert.equal(snapshot.results['dehydration:selectBooksForAuthor'][0].rootDependencies.length, 3);
+    assert.equal(snapshot.results['dehydration:selectBooksForAuthor'][0].ownDependencies.length, 3);
+  });
+
+  it('should only capture the selectors it is given', () => {
+    const partialSnapshot = dehydrate([serverSelectors.selectBook]);
+    assert.deepEqual(Object.keys(partialSnapshot.results), ['dehydration:selectBook']);
+    assert.equal(partialSnapshot.results['dehydration:selectBook'].length, 2);
+    // The values of its dependencies still come along
+    assert.sameMembers(Object.keys(partialSnapshot.returnValues), [
+      'dehydration:selectBook({"bookId":101})',
+      'dehydration:selectRawBookData({"bookId":101})',
+      'dehydration:selectBook({"bookId":103})',
+      'dehydration:selectRawBookData({"bookId":103})',
+    ]);
+  });
+
+  it('should only store each value once, however many results depend on it', () => {
+    const selectAllBookData = createParameterizedRootSelector(
+      state => state.bookDataById,
+      { displayName: 'dehydration:selectAllBookData' },
+    );
+    const selectTitle = createParameterizedSelector(
+      ({ bookId }) => selectAllBookData()[bookId].title,
+      { displayName: 'dehydration:selectTitle' },
+    );
+    [101, 102, 103].forEach(bookId => selectTitle(initialState, { bookId }));
+
+    const sharedSnapshot = dehydrate([selectAllBookData, selectTitle]);
+    assert.sameMembers(Object.keys(sharedSnapshot.returnValues), [
+      'dehydration:selectAllBookData(undefined)',
+      'dehydration:selectTitle({"bookId":101})',
+      'dehydration:selectTitle({"bookId":102})',
+      'dehydration:selectTitle({"bookId":103})',
+    ]);
+    const serializedSnapshot = JSON.stringify(sharedSnapshot);
+    assert.equal(serializedSnapshot.split('"Binding"').length - 1, 2);
+  });
+
+  it('should let the client skip the first run for the same state', () => {
+    const clientState = JSON.parse(JSON.stringify(initialState));
+    const clientSelectors = createSelectors();
+
+    // Only the non-root results get restored
+    assert.equal(rehydrate(snapshot, clientState), 3);
+
+    const books = clientSelectors.selectBooksForAuthor(clientState, { authorId: 1 });
+    assert.deepEqual(books, [
+      { title: 'Alphabet', authorId: 1, bookId: 101 },
+      { title: 'Chapter', authorId: 1, bookId: 103 },
+    ]);
+    assert.equal(clientSelectors.selectBooksForAuthor.getFullRunCountForParams({ authorId: 1 }), 0);
+    assert.equal(clientSelectors.selectBooksForAuthor.getSkippedRunCountForParams({ authorId: 1 }), 1);
+    assert.deepEqual(clientSelectors.selectBook(clientState, { bookId: 101 }), books[0]);
+    assert.equal(clientSelectors.selectBook.getGlobalFullRunCount(), 0);
+    assert.equal(clientSelectors.selectBook.getGlobalSkippedRunCount(), 1);
+
+    // The root selectors were run against the client state while rehydrating
+    assert.equal(clientSelectors.selectRawBookData.getGlobalFullRunCount(), 2);
+    assert.equal(clientSelectors.selectBookIdsForAuthor.getGlobalFullRunCount(), 1);
+  });
+
+  it('should keep working as the client state changes', () => {
+    const clientState = JSON.parse(JSON.stringify(initialState));
+    const clientSelectors = createSelectors();
+    rehydrate(snapshot, clientState);
+
+    const books = clientSelectors.selectBooksForAuthor(clientState, { authorId: 1 });
+
+    // Changing an unrelated book only re-runs the root selectors: the restored results still line up
+    const secondState = {
+      ...clientState,
+      bookDataById: {
+        ...clientState.bookDataById,
+        102: { title: 'Bookbinding', authorId: 2 },
+      },
+    };
+    assert.equal(clientSelectors.selectBooksForAuthor(secondState, { authorId: 1 }), books);
+    assert.equal(clientSelectors.selectBook.getGlobalFullRunCount(), 0);
+
+    // Changing a relevant book re-runs everything that depends on it
+    const thirdState = {
+      ...secondState,
+      bookDataById: {
+        ...secondState.bookDataById,
+        103: { title: 'Chapters', authorId: 1 },
+      },
+    };
+    const newBooks = clientSelectors.selectBooksForAuthor(thirdState, { authorId: 1 });
+    assert.deepEqual(newBooks[0], books[0]);
+    assert.deepEqual(newBooks[1], { title: 'Chapters', authorId: 1, bookId: 103 });
+    assert.equal(clientSelectors.selectBook.getGlobalFullRunCount(), 1);
+    assert.equal(clientSelectors.selectBooksForAuthor.getGlobalFullRunCount(), 1);
+  });
+
+  it('should skip results that relied on something different in the state', () => {
+    const clientState = {
+      ...JSON.parse(JSON.stringify(initialState)),
+      bookIdsByAuthorId: {
+        1: [101],
+        2: [102, 103],
+      },
+    };
+    const clientSelectors = createSelectors();
+
+    // selectBooksForAuthor can't be restored
+    assert.equal(rehydrate(snapshot, clientState), 2);
+
+    assert.deepEqual(clientSelectors.selectBooksForAuthor(clientState, { authorId: 1 }), [
+      { title: 'Alphabet', authorId: 1, bookId: 101 },
+    ]);
+    assert.equal(clientSelectors.selectBooksForAuthor.getFullRunCountForParams({ authorId: 1 }), 1);
+    assert.equal(clientSelectors.selectBook.getGlobalFullRunCount(), 0);
+  });
+
+  it('should skip results for selectors it cannot find', () => {
+    const clientState = JSON.parse(JSON.stringify(initialState));
+    const restoredCount = rehydrate({
+      returnValues: {
+        'dehydration:unknownSelector(1)': 2,
+        'dehydration:selectBook({"bookId":101})': {},
+      },
+      results: {
+        'dehydration:unknownSelector': [
+          {
+            keyParams: 1,
+            rootDependencies: [],
+            ownDependencies: [],
+          },
+        ],
+        'dehydration:selectBook': [
+          {
+            keyParams: { bookId: 101 },
+            rootDependencies: [],
+            ownDependencies: [['dehydration:unknownSelector', 1]],
+          },
+        ],
+      },
+    }, clientState);
+
+    assert.equal(restoredCount, 0);
+  });
+});
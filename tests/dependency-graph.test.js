@@ -0,0 +1,179 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+  getDependencyGraph,
+  dependencyGraphToDOT,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Dependency graph', () => {
+  const state = {
+    bookDataById: {
+      101: { title: 'Alphabet' },
+      102: { title: 'Binding' },
+      103: { title: 'Chapter' },
+    },
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102, 103],
+    },
+  };
+
+  let selectRawBookData;
+  let selectBookIdsForAuthor;
+  let selectBookTitle;
+  let selectBookTitlesForAuthor;
+  // Each test runs in its own context, so that selectors from other tests don't show up in the global graph
+  let context;
+
+  beforeEach(() => {
+    selectRawBookData = createParameterizedRootSelector(
+      (innerState, { bookId }) => innerState.bookDataById[bookId],
+      {
+        displayName: 'selectRawBookData',
+        performanceChecksEnabled: true,
+      },
+    );
+    selectBookIdsForAuthor = createParameterizedRootSelector(
+      (innerState, { authorId }) => innerState.bookIdsByAuthorId[authorId],
+      {
+        displayName: 'selectBookIdsForAuthor',
+        performanceChecksEnabled: true,
+      },
+    );
+    selectBookTitle = createParameterizedSelector(
+      ({ bookId }) => selectRawBookData({ bookId }).title,
+      {
+        displayName: 'selectBookTitle',
+        performanceChecksEnabled: true,
+      },
+    );
+    selectBookTitlesForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor({ authorId }).map(bookId => selectBookTitle({ bookId })),
+      {
+        displayName: 'selectBookTitlesForAuthor',
+        performanceChecksEnabled: true,
+      },
+    );
+    context = createSelectorContext();
+  });
+
+  describe('for a single selector call', () => {
+    it('should include everything the result depends on', () => {
+      context.run(() => {
+        selectBookTitlesForAuthor(state, { authorId: 1 });
+        selectBookTitlesForAuthor(state, { authorId: 2 });
+        const graph = selectBookTitlesForAuthor.getDependencyGraph({ authorId: 1 });
+
+        assert.deepEqual(graph.nodes.map(node => node.id), [
+          'selectBookTitlesForAuthor({"authorId":1})',
+          'selectBookIdsForAuthor({"authorId":1})',
+          'selectBookTitle({"bookId":101})',
+          'selectRawBookData({"bookId":101})',
+          'selectBookTitle({"bookId":103})',
+          'selectRawBookData({"bookId":103})',
+        ]);
+        assert.deepEqual(graph.edges, [
+          { from: 'selectBookTitlesForAuthor({"authorId":1})', to: 'selectBookIdsForAuthor({"authorId":1})' },
+          { from: 'selectBookTitle({"bookId":101})', to: 'selectRawBookData({"bookId":101})' },
+          { from: 'selectBookTitlesForAuthor({"authorId":1})', to: 'selectBookTitle({"bookId":101})' },
+          { from: 'selectBookTitle({"bookId":103})', to: 'selectRawBookData({"bookId":103})' },
+          { from: 'selectBookTitlesForAuthor({"authorId":1})', to: 'selectBookTitle({"bookId":103})' },
+        ]);
+      });
+    });
+
+    it('should describe each node', () => {
+      context.run(() => {
+        selectBookTitlesForAuthor(state, { authorId: 1 });
+        selectBookTitlesForAuthor(state, { authorId: 1 });
+        const [node] = selectBookTitlesForAuthor.getDependencyGraph({ authorId: 1 }).nodes;
+
+        assert.deepEqual(node, {
+          id: 'selectBookTitlesForAuthor({"authorId":1})',
+          displayName: 'selectBookTitlesForAuthor',
+          keyParamsString: '{"authorId":1}',
+          isRootSelector: false,
+          hasCachedResult: true,
+          invokeCount: 2,
+          skippedRunCount: 1,
+          phantomRunCount: 0,
+          fullRunCount: 1,
+          abortedRunCount: 0,
+          prefetchedRunCount: 0,
+          prefetchHitCount: 0,
+          rootDependencyCount: 3,
+          ownDependencyCount: 3,
+        });
+      });
+    });
+
+    it('should return a lone node when nothing is cached', () => {
+      const graph = context.run(() => selectBookTitlesForAuthor.getDependencyGraph({ authorId: 1 }));
+
+      assert.equal(graph.nodes.length, 1);
+      assert.equal(graph.nodes[0].hasCachedResult, false);
+      assert.deepEqual(graph.edges, []);
+    });
+  });
+
+  describe('for all selectors', () => {
+    it('should include every cached result, without duplicates', () => {
+      context.run(() => {
+        selectBookTitlesForAuthor(state, { authorId: 1 });
+        selectBookTitlesForAuthor(state, { authorId: 2 });
+        const graph = getDependencyGraph();
+
+        // Two authors, three books, and the raw data for each
+        assert.equal(graph.nodes.length, 2 + 2 + 3 + 3);
+        assert.equal(graph.edges.length, 2 * 3 + 3);
+      });
+    });
+
+    it('should be limited to the given selectors', () => {
+      context.run(() => {
+        selectBookTitlesForAuthor(state, { authorId: 1 });
+        const graph = getDependencyGraph([selectBookTitle]);
+
+        assert.deepEqual(graph.nodes.map(node => node.id), [
+          'selectBookTitle({"bookId":101})',
+          'selectRawBookData({"bookId":101})',
+          'selectBookTitle({"bookId":103})',
+          'selectRawBookData({"bookId":103})',
+        ]);
+        assert.equal(graph.edges.length, 2);
+      });
+    });
+  });
+
+  describe('exporting', () => {
+    it('should be plain data that survives JSON', () => {
+      const graph = context.run(() => {
+        selectBookTitle(state, { bookId: 101 });
+        return selectBookTitle.getDependencyGraph({ bookId: 101 });
+      });
+
+      assert.deepEqual(JSON.parse(JSON.stringify(graph)), graph);
+    });
+
+    it('should export to DOT', () => {
+      const graph = context.run(() => {
+        selectBookTitle(state, { bookId: 101 });
+        return selectBookTitle.getDependencyGraph({ bookId: 101 });
+      });
+
+      assert.equal(dependencyGraphToDOT(graph), [
+        'digraph dependencies {',
+        '  "selectBookTitle({\\"bookId\\":101})" [label="selectBookTitle\\n{\\"bookId\\":101}\\n1 of 1 runs", shape=ellipse, style=solid];',
+        '  "selectRawBookData({\\"bookId\\":101})" [label="selectRawBookData\\n{\\"bookId\\":101}\\n1 of 1 runs", shape=box, style=solid];',
+        '  "selectBookTitle({\\"bookId\\":101})" -> "selectRawBookData({\\"bookId\\":101})";',
+        '}',
+      ].join('\n'));
+    });
+  });
+});
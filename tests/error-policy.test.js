@@ -0,0 +1,179 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  ERROR_POLICIES,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Error policies', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: null,
+    },
+    bookIdsByAuthorId: {
+      1: [101],
+      2: [102],
+    },
+  };
+
+  let exceptionCalls;
+  let selectRawAuthorData;
+  let selectBookIdsForAuthor;
+  const createSelectors = (errorPolicy) => {
+    const errorOptions = {
+      errorPolicy,
+      fallbackValue: 'Unknown',
+      exceptionCallback: (...args) => exceptionCalls.push(args),
+      performanceChecksEnabled: true,
+    };
+    const selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      {
+        displayName: 'selectAuthorName',
+        ...errorOptions,
+      },
+    );
+    const selectAuthorLabel = createParameterizedSelector(
+      ({ authorId }) => `${selectAuthorName({ authorId })} (${selectBookIdsForAuthor({ authorId }).length} books)`,
+      {
+        displayName: 'selectAuthorLabel',
+        ...errorOptions,
+      },
+    );
+    return { selectAuthorName, selectAuthorLabel };
+  };
+
+  beforeEach(() => {
+    exceptionCalls = [];
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      { displayName: 'selectRawAuthorData' },
+    );
+    selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, { authorId }) => state.bookIdsByAuthorId[authorId],
+      { displayName: 'selectBookIdsForAuthor' },
+    );
+  });
+
+  it('should report each exception once, where it was thrown', () => {
+    const { selectAuthorLabel } = createSelectors(ERROR_POLICIES.RETRY);
+
+    assert.throws(() => selectAuthorLabel(initialState, { authorId: 2 }), TypeError);
+    assert.equal(exceptionCalls.length, 1);
+
+    const [errorMessage, error, details] = exceptionCalls[0];
+    assert.include(errorMessage, 'selectAuthorName({"authorId":2})" threw an exception');
+    assert.instanceOf(error, TypeError);
+    assert.deepEqual(details, {
+      displayName: 'selectAuthorName',
+      keyParams: { authorId: 2 },
+      dependencyPath: ['selectAuthorLabel({"authorId":2})', 'selectAuthorName({"authorId":2})'],
+    });
+  });
+
+  it('should leave nothing behind when the exceptionCallback rethrows', () => {
+    const { selectAuthorName, selectAuthorLabel } = createSelectors(ERROR_POLICIES.RETRY);
+    const rethrowingOptions = {
+      exceptionCallback: (errorMessage, error) => {
+        throw error;
+      },
+    };
+    selectAuthorName.setOptions(rethrowingOptions);
+    selectAuthorLabel.setOptions(rethrowingOptions);
+
+    assert.throws(() => selectAuthorName(initialState, { authorId: 2 }), TypeError);
+    assert.deepEqual(selectRawAuthorData(initialState, { authorId: 1 }), { name: 'Alice' });
+
+    // This time it's thrown while selectAuthorLabel is checking its dependencies
+    const fixedState = {
+      ...initialState,
+      authorDataById: { ...initialState.authorDataById, 2: { name: 'Bob' } },
+    };
+    assert.equal(selectAuthorLabel(fixedState, { authorId: 2 }), 'Bob (1 books)');
+    assert.throws(() => selectAuthorLabel(initialState, { authorId: 2 }), TypeError);
+    assert.deepEqual(selectRawAuthorData(initialState, { authorId: 1 }), { name: 'Alice' });
+    assert.equal(selectAuthorName.hasCachedResult(fixedState, { authorId: 1 }), false);
+    assert.equal(selectAuthorLabel(fixedState, { authorId: 1 }), 'Alice (1 books)');
+  });
+
+  it('should run again on every call with RETRY', () => {
+    const { selectAuthorName, selectAuthorLabel } = createSelectors(ERROR_POLICIES.RETRY);
+
+    assert.throws(() => selectAuthorLabel(initialState, { authorId: 2 }), TypeError);
+    assert.throws(() => selectAuthorLabel(initialState, { authorId: 2 }), TypeError);
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 2);
+    assert.equal(exceptionCalls.length, 2);
+  });
+
+  it('should throw the same error until dependencies change with CACHE_UNTIL_DEPENDENCIES_CHANGE', () => {
+    const { selectAuthorName, selectAuthorLabel } = createSelectors(ERROR_POLICIES.CACHE_UNTIL_DEPENDENCIES_CHANGE);
+
+    const thrownErrors = [];
+    const callAndCatch = (state) => {
+      try {
+        return selectAuthorLabel(state, { authorId: 2 });
+      } catch (error) {
+        thrownErrors.push(error);
+        return null;
+      }
+    };
+
+    callAndCatch(initialState);
+    callAndCatch(initialState);
+    assert.equal(thrownErrors.length, 2);
+    assert.equal(thrownErrors[0], thrownErrors[1]);
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 1);
+    assert.equal(selectAuthorLabel.getSkippedRunCountForParams({ authorId: 2 }), 1);
+
+    // A new state, without changes to anything that led to the error
+    const unrelatedState = {
+      ...initialState,
+      authorDataById: { ...initialState.authorDataById, 1: { name: 'Alicia' } },
+    };
+    callAndCatch(unrelatedState);
+    assert.equal(thrownErrors.length, 3);
+    assert.equal(thrownErrors[2], thrownErrors[0]);
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 1);
+    assert.equal(selectAuthorLabel.getFullRunCountForParams({ authorId: 2 }), 1);
+    assert.equal(exceptionCalls.length, 1);
+
+    const fixedState = {
+      ...unrelatedState,
+      authorDataById: { ...unrelatedState.authorDataById, 2: { name: 'Bob' } },
+    };
+    assert.equal(callAndCatch(fixedState), 'Bob (1 books)');
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 2);
+  });
+
+  it('should return the fallbackValue with FALLBACK_VALUE', () => {
+    const { selectAuthorName, selectAuthorLabel } = createSelectors(ERROR_POLICIES.FALLBACK_VALUE);
+
+    assert.equal(selectAuthorLabel(initialState, { authorId: 2 }), 'Unknown (1 books)');
+    assert.equal(selectAuthorLabel(initialState, { authorId: 2 }), 'Unknown (1 books)');
+    assert.equal(selectAuthorName.hasCachedResult(initialState, { authorId: 2 }), true);
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 1);
+    assert.equal(exceptionCalls.length, 1);
+
+    const newState = {
+      ...initialState,
+      bookIdsByAuthorId: { ...initialState.bookIdsByAuthorId, 2: [102, 103] },
+    };
+    assert.equal(selectAuthorLabel(newState, { authorId: 2 }), 'Unknown (2 books)');
+    assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 1);
+  });
+
+  it('should warn about an unrecognized errorPolicy', () => {
+    const warnings = [];
+    createParameterizedSelector(() => null, {
+      errorPolicy: 'ignore',
+      warningsCallback: (...args) => warnings.push(args),
+    });
+    assert.equal(warnings.length, 1);
+    assert.include(warnings[0][0], 'unrecognized errorPolicy');
+  });
+});
@@ -3,6 +3,7 @@ import chai from 'chai';
 
 import {
   COMPARISON_PRESETS,
+  DEPENDENCY_CHECK_STRATEGIES,
   createParameterizedRootSelector,
   createParameterizedSelector,
 } from '../src/index';
@@ -361,3 +362,234 @@ describe('Selectors for single objects', () => {
     assert.equal(selectRawAuthorData.getPhantomRunCountForParams(1), 2);
   });
 });
+
+describe('Selectors across authors, books and categories', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: { name: 'Bob' },
+    },
+    bookDataById: {
+      101: { title: 'Alphabet', authorId: 1, categoryIds: [11, 12] },
+      102: { title: 'Binding', authorId: 2, categoryIds: [12] },
+      103: { title: 'Chapter', authorId: 1, categoryIds: [13] },
+    },
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102],
+    },
+    categoryDataById: {
+      11: { name: 'Fiction' },
+      12: { name: 'History' },
+      13: { name: 'Poetry' },
+    },
+  };
+
+  // Each change is applied on top of the previous ones
+  const stateChanges = [
+    ['rename a category the author uses', state => ({
+      ...state,
+      categoryDataById: { ...state.categoryDataById, 12: { name: 'Historical' } },
+    })],
+    ['rename a category the author does not use', state => ({
+      ...state,
+      categoryDataById: { ...state.categoryDataById, 14: { name: 'Science' } },
+    })],
+    ['change the categories of one of the author\'s books', state => ({
+      ...state,
+      bookDataById: { ...state.bookDataById, 103: { ...state.bookDataById[103], categoryIds: [13, 14] } },
+    })],
+    ['recreate a book without changing it', state => ({
+      ...state,
+      bookDataById: { ...state.bookDataById, 101: { ...state.bookDataById[101] } },
+    })],
+    ['add a book to the author', state => ({
+      ...state,
+      bookDataById: { ...state.bookDataById, 104: { title: 'Dewey', authorId: 1, categoryIds: [11] } },
+      bookIdsByAuthorId: { ...state.bookIdsByAuthorId, 1: [...state.bookIdsByAuthorId[1], 104] },
+    })],
+    ['move a book to another author', state => ({
+      ...state,
+      bookDataById: { ...state.bookDataById, 101: { ...state.bookDataById[101], authorId: 2 } },
+      bookIdsByAuthorId: { ...state.bookIdsByAuthorId, 1: [103, 104], 2: [101, 102] },
+    })],
+    ['rename a category that only the other author uses now', state => ({
+      ...state,
+      categoryDataById: { ...state.categoryDataById, 12: { name: 'History' } },
+    })],
+  ];
+
+  // This is what the selectors should return, computed from scratch
+  const getExpectedCategoryNames = (state, authorId) => {
+    const categoryIds = [];
+    state.bookIdsByAuthorId[authorId].forEach((bookId) => {
+      state.bookDataById[bookId].categoryIds.forEach((categoryId) => {
+        if (!categoryIds.includes(categoryId)) {
+          categoryIds.push(categoryId);
+        }
+      });
+    });
+    return categoryIds.map(categoryId => state.categoryDataById[categoryId].name);
+  };
+
+  const createSelectors = (dependencyCheckStrategy, warnings) => {
+    const options = {
+      dependencyCheckStrategy,
+      compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
+      performanceChecksEnabled: true,
+      warningsCallback: message => warnings.push(message),
+    };
+
+    const selectRawBookData = createParameterizedRootSelector(
+      (state, bookId) => state.bookDataById[bookId],
+      { displayName: 'selectRawBookData', ...options },
+    );
+    const selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, authorId) => state.bookIdsByAuthorId[authorId],
+      { displayName: 'selectBookIdsForAuthor', ...options },
+    );
+    const selectRawCategoryData = createParameterizedRootSelector(
+      (state, categoryId) => state.categoryDataById[categoryId],
+      { displayName: 'selectRawCategoryData', ...options },
+    );
+
+    const selectBook = createParameterizedSelector(
+      ({ bookId }) => ({ ...selectRawBookData(bookId), bookId }),
+      { displayName: 'selectBook', ...options },
+    );
+    const selectCategoryName = createParameterizedSelector(
+      ({ categoryId }) => selectRawCategoryData(categoryId).name,
+      { displayName: 'selectCategoryName', ...options },
+    );
+    const selectBooksForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor(authorId).map(bookId => selectBook({ bookId })),
+      { displayName: 'selectBooksForAuthor', ...options },
+    );
+    const selectCategoryIdsForAuthor = createParameterizedSelector(
+      ({ authorId }) => {
+        const categoryIds = [];
+        selectBooksForAuthor({ authorId }).forEach((book) => {
+          book.categoryIds.forEach((categoryId) => {
+            if (!categoryIds.includes(categoryId)) {
+              categoryIds.push(categoryId);
+            }
+          });
+        });
+        return categoryIds;
+      },
+      { displayName: 'selectCategoryIdsForAuthor', ...options },
+    );
+    const selectCategoriesOfBooksAnAuthorWrote = createParameterizedSelector(
+      ({ authorId }) => selectCategoryIdsForAuthor({ authorId })
+        .map(categoryId => selectCategoryName({ categoryId })),
+      { displayName: 'selectCategoriesOfBooksAnAuthorWrote', ...options },
+    );
+
+    return {
+      selectBook,
+      selectCategoryName,
+      selectBooksForAuthor,
+      selectCategoryIdsForAuthor,
+      selectCategoriesOfBooksAnAuthorWrote,
+    };
+  };
+
+  Object.keys(DEPENDENCY_CHECK_STRATEGIES).forEach((strategyName) => {
+    const dependencyCheckStrategy = DEPENDENCY_CHECK_STRATEGIES[strategyName];
+
+    describe(`with the ${dependencyCheckStrategy} strategy`, () => {
+      let warnings;
+      let selectors;
+
+      beforeEach(() => {
+        warnings = [];
+        selectors = createSelectors(dependencyCheckStrategy, warnings);
+      });
+
+      it('should never return a stale result', () => {
+        let state = initialState;
+        assert.deepEqual(
+          selectors.selectCategoriesOfBooksAnAuthorWrote(state, { authorId: 1 }),
+          getExpectedCategoryNames(state, 1),
+        );
+
+        stateChanges.forEach(([description, applyChange]) => {
+          state = applyChange(state);
+          [1, 2].forEach((authorId) => {
+            assert.deepEqual(
+              selectors.selectCategoriesOfBooksAnAuthorWrote(state, { authorId }),
+              getExpectedCategoryNames(state, authorId),
+              `${description}, for author ${authorId}`,
+            );
+          });
+        });
+        assert.deepEqual(warnings, []);
+      });
+
+      it('should see changes in dependencies that were already cached when it first ran', () => {
+        let state = initialState;
+        // These get cached before the top-level selector ever runs, so it won't see them run
+        selectors.selectCategoryName(state, { categoryId: 12 });
+        selectors.selectBooksForAuthor(state, { authorId: 1 });
+        selectors.selectCategoriesOfBooksAnAuthorWrote(state, { authorId: 1 });
+
+        stateChanges.forEach(([description, applyChange]) => {
+          state = applyChange(state);
+          assert.deepEqual(
+            selectors.selectCategoriesOfBooksAnAuthorWrote(state, { authorId: 1 }),
+            getExpectedCategoryNames(state, 1),
+            description,
+          );
+        });
+        assert.deepEqual(warnings, []);
+      });
+
+      it('should see changes in dependencies that could not run when it recorded them', () => {
+        const options = {
+          dependencyCheckStrategy,
+          warningsCallback: message => warnings.push(message),
+        };
+        // Neither of these has root dependencies covering the probed result, since it never ran for them
+        const selectIsCategoryNameCached = createParameterizedSelector(
+          ({ categoryId }) => selectors.selectCategoryName.hasCachedResult({ categoryId }),
+          { displayName: 'selectIsCategoryNameCached', ...options },
+        );
+        const selectBookCountIfCategoryNameCached = createParameterizedSelector(
+          ({ authorId, categoryId }) => (selectors.selectCategoryName.hasCachedResult({ categoryId })
+            ? selectors.selectBooksForAuthor({ authorId }).length
+            : null),
+          { displayName: 'selectBookCountIfCategoryNameCached', ...options },
+        );
+        assert.equal(selectIsCategoryNameCached(initialState, { categoryId: 12 }), false);
+        assert.equal(selectBookCountIfCategoryNameCached(initialState, { authorId: 1, categoryId: 12 }), null);
+
+        const state = { ...initialState };
+        selectors.selectCategoryName(state, { categoryId: 12 });
+        assert.equal(selectIsCategoryNameCached(state, { categoryId: 12 }), true);
+        assert.equal(selectBookCountIfCategoryNameCached(state, { authorId: 1, categoryId: 12 }), 2);
+        assert.deepEqual(warnings, []);
+      });
+
+      it('should not re-run for changes it does not depend on', () => {
+        const state = initialState;
+        const categoryNames = selectors.selectCategoriesOfBooksAnAuthorWrote(state, { authorId: 1 });
+
+        const [, [, renameUnusedCategory]] = stateChanges;
+        const newState = renameUnusedCategory(state);
+        assert.equal(selectors.selectCategoriesOfBooksAnAuthorWrote(newState, { authorId: 1 }), categoryNames);
+
+        const { selectCategoriesOfBooksAnAuthorWrote, selectCategoryIdsForAuthor } = selectors;
+        assert.equal(selectCategoriesOfBooksAnAuthorWrote.getFullRunCountForParams({ authorId: 1 }), 1);
+        assert.equal(selectCategoriesOfBooksAnAuthorWrote.getSkippedRunCountForParams({ authorId: 1 }), 1);
+        assert.equal(selectCategoryIdsForAuthor.getFullRunCountForParams({ authorId: 1 }), 1);
+      });
+    });
+  });
+
+  it('should warn about unrecognized strategies', () => {
+    const warnings = [];
+    createSelectors('sometimes', warnings);
+    assert.equal(warnings.length, 8);
+    assert.include(warnings[0], 'unrecognized dependencyCheckStrategy');
+  });
+});
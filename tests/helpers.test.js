@@ -4,6 +4,8 @@ import chai from 'chai';
 import {
   COMPARISON_PRESETS,
   KEY_PRESETS,
+  CACHE_PRESETS,
+  EVICTION_PRESETS,
 } from '../src/helpers';
 
 const assert = chai.assert; // eslint-disable-line prefer-destructuring
@@ -335,3 +337,169 @@ describe('KEY_PRESETS', () => {
     });
   });
 });
+
+describe('CACHE_PRESETS', () => {
+  describe('STRINGIFIED_KEYS', () => {
+    const createCache = () => CACHE_PRESETS.STRINGIFIED_KEYS({
+      displayName: 'testSelector',
+      createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+      warningsEnabled: false,
+    });
+
+    it('Should return nothing for params it has not seen', () => {
+      const cache = createCache();
+      assert.equal(cache.get({ abc: 123 }), undefined);
+      assert.deepEqual(cache.keys(), []);
+    });
+    it('Should return a stored value for equivalent params', () => {
+      const cache = createCache();
+      const resultRecord = {};
+      cache.set({ abc: 123, def: 456 }, resultRecord);
+      assert.equal(cache.get({ def: 456, abc: 123 }), resultRecord);
+    });
+    it('Should replace the stored value for equivalent params', () => {
+      const cache = createCache();
+      const resultRecord = {};
+      cache.set({ abc: 123 }, {});
+      cache.set({ abc: 123 }, resultRecord);
+      assert.equal(cache.get({ abc: 123 }), resultRecord);
+      assert.equal(cache.keys().length, 1);
+    });
+    it('Should list the params for each stored value', () => {
+      const cache = createCache();
+      cache.set({ abc: 123 }, {});
+      cache.set({ abc: 456 }, {});
+      assert.deepEqual(cache.keys(), [{ abc: 123 }, { abc: 456 }]);
+    });
+    it('Should delete stored values', () => {
+      const cache = createCache();
+      cache.set({ abc: 123 }, {});
+      cache.set({ abc: 456 }, {});
+      cache.delete({ abc: 123 });
+      assert.equal(cache.get({ abc: 123 }), undefined);
+      assert.deepEqual(cache.keys(), [{ abc: 456 }]);
+    });
+    it('Should clear all stored values', () => {
+      const cache = createCache();
+      cache.set({ abc: 123 }, {});
+      cache.set({ abc: 456 }, {});
+      cache.clear();
+      assert.equal(cache.get({ abc: 456 }), undefined);
+      assert.deepEqual(cache.keys(), []);
+    });
+    it('Should warn when given params that stringify to nothing', () => {
+      const warnings = [];
+      const cache = CACHE_PRESETS.STRINGIFIED_KEYS({
+        displayName: 'testSelector',
+        createKeyFromParams: () => '',
+        warningsEnabled: true,
+        warningsCallback: message => warnings.push(message),
+      });
+      cache.set({ abc: 123 }, {});
+      assert.deepEqual(warnings, ['testSelector generated an empty keyParamsString']);
+    });
+  });
+
+  describe('NAMED_PARAMS', () => {
+    it('Should return nothing for params it has not seen', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      cache.set({ abc: 123 }, {});
+      assert.equal(cache.get({ abc: 456 }), undefined);
+      assert.equal(cache.get({ def: 123 }), undefined);
+      assert.equal(cache.get(123), undefined);
+    });
+    it('Should return a stored value for equivalent params, regardless of key order', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      const resultRecord = {};
+      cache.set({ abc: 123, def: 456 }, resultRecord);
+      assert.equal(cache.get({ def: 456, abc: 123 }), resultRecord);
+    });
+    it('Should not match params that have only some of the same keys', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      const shortRecord = {};
+      const longRecord = {};
+      cache.set({ abc: 123 }, shortRecord);
+      cache.set({ abc: 123, def: 456 }, longRecord);
+      assert.equal(cache.get({ abc: 123 }), shortRecord);
+      assert.equal(cache.get({ abc: 123, def: 456 }), longRecord);
+      assert.equal(cache.get({}), undefined);
+    });
+    it('Should match param values by identity', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      const filter = { abc: 123 };
+      const resultRecord = {};
+      cache.set({ filter }, resultRecord);
+      assert.equal(cache.get({ filter }), resultRecord);
+      assert.equal(cache.get({ filter: { abc: 123 } }), undefined);
+    });
+    it('Should store params that are not plain objects', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      const numberRecord = {};
+      const stringRecord = {};
+      cache.set(123, numberRecord);
+      cache.set('123', stringRecord);
+      assert.equal(cache.get(123), numberRecord);
+      assert.equal(cache.get('123'), stringRecord);
+    });
+    it('Should never stringify params', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      const unstringifiable = {
+        toString: () => {
+          throw new Error('Should not be stringified');
+        },
+      };
+      cache.set({ abc: unstringifiable }, {});
+      assert.notEqual(cache.get({ abc: unstringifiable }), undefined);
+    });
+    it('Should list, delete and clear stored values', () => {
+      const cache = CACHE_PRESETS.NAMED_PARAMS();
+      cache.set({ abc: 123 }, {});
+      cache.set({ abc: 123 }, {});
+      cache.set({ abc: 123, def: 456 }, {});
+      cache.set(789, {});
+      assert.deepEqual(cache.keys(), [{ abc: 123 }, { abc: 123, def: 456 }, 789]);
+
+      cache.delete({ abc: 123, def: 456 });
+      assert.equal(cache.get({ abc: 123, def: 456 }), undefined);
+      assert.notEqual(cache.get({ abc: 123 }), undefined);
+      assert.deepEqual(cache.keys(), [{ abc: 123 }, 789]);
+
+      cache.clear();
+      assert.equal(cache.get({ abc: 123 }), undefined);
+      assert.deepEqual(cache.keys(), []);
+    });
+  });
+});
+
+describe('EVICTION_PRESETS', () => {
+  const recordA = { useCount: 3 };
+  const recordB = { useCount: 1 };
+  const recordC = { useCount: 2 };
+
+  describe('LEAST_RECENTLY_USED', () => {
+    it('Should choose the first record', () => {
+      const resultRecords = new Set([recordA, recordB, recordC]);
+      assert.equal(EVICTION_PRESETS.LEAST_RECENTLY_USED(resultRecords, recordC), recordA);
+    });
+    it('Should skip the record to keep', () => {
+      const resultRecords = new Set([recordA, recordB, recordC]);
+      assert.equal(EVICTION_PRESETS.LEAST_RECENTLY_USED(resultRecords, recordA), recordB);
+    });
+  });
+
+  describe('LEAST_FREQUENTLY_USED', () => {
+    it('Should choose the record with the lowest useCount', () => {
+      const resultRecords = new Set([recordA, recordB, recordC]);
+      assert.equal(EVICTION_PRESETS.LEAST_FREQUENTLY_USED(resultRecords, recordA), recordB);
+    });
+    it('Should skip the record to keep', () => {
+      const resultRecords = new Set([recordA, recordB, recordC]);
+      assert.equal(EVICTION_PRESETS.LEAST_FREQUENTLY_USED(resultRecords, recordB), recordC);
+    });
+    it('Should choose the least recently used record when there is a tie', () => {
+      const recordD = { useCount: 1 };
+      const resultRecords = new Set([recordA, recordD, recordB, recordC]);
+      assert.equal(EVICTION_PRESETS.LEAST_FREQUENTLY_USED(resultRecords, recordC), recordD);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  COMPARISON_PRESETS,
+  ERROR_POLICIES,
+  EVICTION_PRESETS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Options validation', () => {
+  let warnings;
+  const validationOptions = {
+    optionsValidationEnabled: true,
+    warningsCallback: (message, details) => warnings.push([message, details]),
+  };
+  const getWarningMessages = () => warnings.map(([message]) => message);
+
+  beforeEach(() => {
+    warnings = [];
+  });
+
+  it('should not warn about valid options', () => {
+    createParameterizedRootSelector(state => state.authorIds, {
+      displayName: 'validation:selectAuthorIds',
+      maxCacheSize: 10,
+      evictionPolicy: EVICTION_PRESETS.LEAST_FREQUENTLY_USED,
+      tags: null,
+      ...validationOptions,
+    });
+    createParameterizedSelector(() => null, {
+      errorPolicy: ERROR_POLICIES.FALLBACK_VALUE,
+      fallbackValue: [],
+      onFullRun: null,
+      ...validationOptions,
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('should suggest the intended name for a typo', () => {
+    createParameterizedSelector(() => null, {
+      displayName: 'validation:selectWithTypo',
+      compareSelectorResult: COMPARISON_PRESETS.SHALLOW_EQUAL,
+      warningsenabled: true,
+      ...validationOptions,
+    });
+    assert.deepEqual(getWarningMessages(), [
+      'validation:selectWithTypo was given an unrecognized option "compareSelectorResult": did you mean "compareSelectorResults"?',
+      'validation:selectWithTypo was given an unrecognized option "warningsenabled": did you mean "warningsEnabled"?',
+    ]);
+    assert.deepEqual(warnings[0][1], { compareSelectorResult: COMPARISON_PRESETS.SHALLOW_EQUAL });
+  });
+
+  it('should warn about unrecognized options without a suggestion', () => {
+    createParameterizedSelector(() => null, {
+      displayName: 'validation:selectWithUnknownOption',
+      memoize: true,
+      ...validationOptions,
+    });
+    assert.deepEqual(getWarningMessages(), [
+      'validation:selectWithUnknownOption was given an unrecognized option "memoize"',
+    ]);
+  });
+
+  it('should check the type of each option', () => {
+    createParameterizedSelector(() => null, {
+      displayName: 'validation:selectWithWrongTypes',
+      hasStaticDependencies: 'yes',
+      verboseLoggingEnabled: undefined,
+      tags: ['author:1'],
+      maxCacheSize: null,
+      ...validationOptions,
+    });
+    assert.deepEqual(getWarningMessages(), [
+      'validation:selectWithWrongTypes was given the wrong type for the option "hasStaticDependencies": expected boolean, got string',
+      'validation:selectWithWrongTypes was given the wrong type for the option "verboseLoggingEnabled": expected boolean, got undefined',
+      'validation:selectWithWrongTypes was given the wrong type for the option "tags": expected function, got object',
+    ]);
+  });
+
+  it('should warn about incompatible options', () => {
+    createParameterizedRootSelector(state => state.authorIds, {
+      displayName: 'validation:selectStaticRoot',
+      hasStaticDependencies: true,
+      ...validationOptions,
+    });
+    createParameterizedSelector(() => null, {
+      displayName: 'validation:selectWithStateComparison',
+      compareIncomingStates: COMPARISON_PRESETS.SAME_REFERENCE,
+      fallbackValue: 'Unknown',
+      evictionPolicy: EVICTION_PRESETS.LEAST_RECENTLY_USED,
+      ...validationOptions,
+    });
+    assert.deepEqual(getWarningMessages(), [
+      'validation:selectStaticRoot has hasStaticDependencies set, but root selectors never have dependencies',
+      'validation:selectWithStateComparison was given compareIncomingStates, but only root selectors use it',
+      'validation:selectWithStateComparison was given a fallbackValue, but it\'s only used with the "fallback-value" errorPolicy',
+      'validation:selectWithStateComparison was given an evictionPolicy, but it has no maxCacheSize so nothing will be evicted',
+    ]);
+  });
+
+  it('should only run when enabled', () => {
+    createParameterizedSelector(() => null, {
+      compareSelectorResult: COMPARISON_PRESETS.SHALLOW_EQUAL,
+      ...validationOptions,
+      optionsValidationEnabled: false,
+    });
+    createParameterizedSelector(() => null, {
+      compareSelectorResult: COMPARISON_PRESETS.SHALLOW_EQUAL,
+      ...validationOptions,
+      warningsEnabled: false,
+    });
+    assert.deepEqual(warnings, []);
+  });
+});
@@ -0,0 +1,203 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('precompute', () => {
+  const initialState = {
+    language: 'en',
+    bookDataById: {
+      101: { title: 'Alphabet' },
+      102: { title: 'Binding' },
+      103: { title: 'Chapter' },
+    },
+  };
+  const bookParamsList = [{ bookId: 101 }, { bookId: 102 }, { bookId: 103 }];
+
+  let selectLanguage;
+  let selectRawBookData;
+  let selectBookLabel;
+
+  beforeEach(() => {
+    selectLanguage = createParameterizedRootSelector(
+      state => state.language,
+      { displayName: 'precompute:selectLanguage', performanceChecksEnabled: true },
+    );
+    selectRawBookData = createParameterizedRootSelector(
+      (state, { bookId }) => state.bookDataById[bookId],
+      { displayName: 'precompute:selectRawBookData', performanceChecksEnabled: true },
+    );
+    selectBookLabel = createParameterizedSelector(
+      ({ bookId }) => {
+        const { title } = selectRawBookData({ bookId });
+        if (!title) {
+          throw new Error(`Book ${bookId} has no title`);
+        }
+        return `${title} (${selectLanguage()})`;
+      },
+      { displayName: 'precompute:selectBookLabel', performanceChecksEnabled: true },
+    );
+  });
+
+  it('should fill the cache right away without a scheduler', () => {
+    const promise = selectBookLabel.precompute(initialState, bookParamsList);
+    bookParamsList.forEach((bookParams) => {
+      assert.equal(selectBookLabel.hasCachedResult(initialState, bookParams), true);
+    });
+    return promise;
+  });
+
+  it('should count prefetched runs and prefetch hits', () => {
+    selectBookLabel.precompute(initialState, bookParamsList);
+    assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 3);
+    assert.equal(selectBookLabel.getGlobalInvokeCount(), 0);
+    assert.equal(selectBookLabel.getGlobalFullRunCount(), 0);
+    // Its dependencies were prefetched along with it
+    assert.equal(selectRawBookData.getGlobalPrefetchedRunCount(), 3);
+    assert.equal(selectRawBookData.getGlobalFullRunCount(), 0);
+
+    assert.equal(selectBookLabel(initialState, { bookId: 102 }), 'Binding (en)');
+    assert.deepEqual(selectBookLabel.getAllCountsForParams({ bookId: 102 }), {
+      invokeCount: 1,
+      skippedRunCount: 1,
+      phantomRunCount: 0,
+      fullRunCount: 0,
+      abortedRunCount: 0,
+      prefetchedRunCount: 1,
+      prefetchHitCount: 1,
+    });
+    // Only the first use counts as a hit
+    selectBookLabel(initialState, { bookId: 102 });
+    assert.equal(selectBookLabel.getPrefetchHitCountForParams({ bookId: 102 }), 1);
+    assert.equal(selectBookLabel.getGlobalPrefetchHitCount(), 1);
+
+    // A result that's recomputed before it's used isn't a hit
+    const newState = { ...initialState, language: 'fr' };
+    assert.equal(selectBookLabel(newState, { bookId: 101 }), 'Alphabet (fr)');
+    assert.equal(selectBookLabel.getPrefetchHitCountForParams({ bookId: 101 }), 0);
+    assert.equal(selectBookLabel.getFullRunCountForParams({ bookId: 101 }), 1);
+
+    selectBookLabel.resetCounts();
+    assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 0);
+    assert.equal(selectBookLabel.getPrefetchedRunCountForParams({ bookId: 103 }), 0);
+  });
+
+  it('should keep going after an error', () => {
+    const exceptions = [];
+    selectBookLabel.setOptions({ exceptionCallback: (message, details) => exceptions.push(details) });
+    const brokenState = {
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 102: {} },
+    };
+    selectBookLabel.precompute(brokenState, bookParamsList);
+    assert.equal(exceptions.length, 1);
+    assert.equal(selectBookLabel.hasCachedResult(brokenState, { bookId: 103 }), true);
+  });
+
+  it('should reject, rather than throw, when a callback throws', () => {
+    selectBookLabel.setOptions({
+      exceptionCallback: (message, error) => {
+        throw error;
+      },
+    });
+    const brokenState = {
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 102: {} },
+    };
+    return selectBookLabel.precompute(brokenState, bookParamsList).then(
+      () => assert.fail('precompute should have been rejected'),
+      (error) => {
+        assert.equal(error.message.split('\n')[0], 'Book 102 has no title');
+      },
+    );
+  });
+
+  it('should split the work into chunks with a scheduler', () => {
+    const scheduledCallbacks = [];
+    const scheduler = callback => scheduledCallbacks.push(callback);
+    let timeRemaining = 2;
+    const deadline = {
+      timeRemaining: () => {
+        timeRemaining -= 1;
+        return timeRemaining;
+      },
+    };
+
+    let isDone = false;
+    const promise = selectBookLabel.precompute(initialState, bookParamsList, { scheduler }).then(() => {
+      isDone = true;
+    });
+    // Nothing happens until the scheduler calls back
+    assert.equal(scheduledCallbacks.length, 1);
+    assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 0);
+
+    scheduledCallbacks[0](deadline);
+    assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 2);
+    assert.equal(scheduledCallbacks.length, 2);
+
+    // Even a chunk with no time left makes some progress
+    scheduledCallbacks[1](deadline);
+    assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 3);
+    assert.equal(scheduledCallbacks.length, 2);
+
+    return promise.then(() => {
+      assert.equal(isDone, true);
+    });
+  });
+
+  it('should time its chunks itself when the scheduler gives no deadline', () => {
+    const scheduler = callback => setImmediate(callback);
+    return selectBookLabel.precompute(initialState, bookParamsList, { scheduler, chunkDuration: 0 }).then(() => {
+      assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 3);
+    });
+  });
+
+  it('should leave results alone that were computed after it started', () => {
+    const scheduler = callback => setImmediate(callback);
+    const promise = selectBookLabel.precompute(initialState, bookParamsList, { scheduler });
+
+    const newState = { ...initialState, language: 'fr' };
+    assert.equal(selectBookLabel(newState, { bookId: 101 }), 'Alphabet (fr)');
+    return promise.then(() => {
+      assert.equal(selectBookLabel(newState, { bookId: 101 }), 'Alphabet (fr)');
+      assert.equal(selectBookLabel.getFullRunCountForParams({ bookId: 101 }), 1);
+      assert.equal(selectBookLabel.getSkippedRunCountForParams({ bookId: 101 }), 1);
+      assert.equal(selectBookLabel.getPrefetchedRunCountForParams({ bookId: 101 }), 0);
+      assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 2);
+    });
+  });
+
+  it('should get the state for each chunk when given a function', () => {
+    const scheduledCallbacks = [];
+    const scheduler = callback => scheduledCallbacks.push(callback);
+    let state = initialState;
+    const promise = selectBookLabel.precompute(() => state, bookParamsList, { scheduler, chunkDuration: -1 });
+
+    scheduledCallbacks[0]();
+    state = { ...initialState, language: 'fr' };
+    scheduledCallbacks[1]();
+    scheduledCallbacks[2]();
+    return promise.then(() => {
+      assert.equal(selectBookLabel.hasCachedResult(initialState, { bookId: 101 }), true);
+      assert.equal(selectBookLabel.hasCachedResult(state, { bookId: 102 }), true);
+      assert.equal(selectBookLabel(state, { bookId: 103 }), 'Chapter (fr)');
+      assert.equal(selectBookLabel.getPrefetchHitCountForParams({ bookId: 103 }), 1);
+    });
+  });
+
+  it('should run in the context it was called from', () => {
+    const context = createSelectorContext();
+    const scheduler = callback => setImmediate(callback);
+    const promise = context.run(() => selectBookLabel.precompute(initialState, bookParamsList, { scheduler }));
+    return promise.then(() => {
+      assert.equal(context.run(selectBookLabel.getGlobalPrefetchedRunCount), 3);
+      assert.equal(selectBookLabel.getGlobalPrefetchedRunCount(), 0);
+    });
+  });
+});
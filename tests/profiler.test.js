@@ -0,0 +1,160 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+  startProfiling,
+  stopProfiling,
+  getProfilerReport,
+  profilerReportToTable,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+// Takes up roughly the given number of milliseconds (Date.now() is only precise to the millisecond)
+const busyWait = (milliseconds) => {
+  const endTime = Date.now() + milliseconds;
+  while (Date.now() < endTime) {
+    // Waiting
+  }
+};
+
+describe('Profiler', () => {
+  const initialState = {
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102],
+    },
+    bookDataById: {
+      101: { title: 'Alphabet' },
+      102: { title: 'Binding' },
+      103: { title: 'Chapter' },
+    },
+  };
+
+  let context;
+  let selectBookIdsForAuthor;
+  let selectBookTitle;
+  let selectTitlesForAuthor;
+
+  beforeEach(() => {
+    context = createSelectorContext();
+    selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, { authorId }) => state.bookIdsByAuthorId[authorId],
+      { displayName: 'selectBookIdsForAuthor' },
+    );
+    selectBookTitle = createParameterizedSelector(
+      ({ bookId }) => {
+        // Book 103 is especially expensive
+        busyWait(bookId === 103 ? 20 : 1);
+        return initialState.bookDataById[bookId].title;
+      },
+      { displayName: 'selectBookTitle' },
+    );
+    selectTitlesForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor({ authorId }).map(bookId => selectBookTitle({ bookId })),
+      { displayName: 'selectTitlesForAuthor' },
+    );
+  });
+
+  it('should not record anything unless started', () => {
+    context.run(selectTitlesForAuthor, initialState, { authorId: 2 });
+    const report = context.run(getProfilerReport);
+    assert.deepEqual(report, {
+      userCodeTime: 0,
+      dependencyCheckTime: 0,
+      slowestSelectors: [],
+      mostExpensiveParams: [],
+    });
+  });
+
+  it('should rank selectors and params by their own time', () => {
+    context.run(() => {
+      startProfiling();
+      selectTitlesForAuthor(initialState, { authorId: 1 });
+      selectTitlesForAuthor(initialState, { authorId: 2 });
+      stopProfiling();
+    });
+    const report = context.run(getProfilerReport);
+
+    assert.sameMembers(
+      report.slowestSelectors.map(entry => entry.displayName),
+      ['selectBookTitle', 'selectTitlesForAuthor', 'selectBookIdsForAuthor'],
+    );
+    assert.equal(report.slowestSelectors[0].displayName, 'selectBookTitle');
+    assert.equal(report.mostExpensiveParams[0].displayName, 'selectBookTitle');
+    assert.equal(report.mostExpensiveParams[0].keyParamsString, '{"bookId":103}');
+    assert.equal(report.mostExpensiveParams.length, 7);
+
+    const [bookTitleEntry] = report.slowestSelectors;
+    assert.equal(bookTitleEntry.runCount, 3);
+    assert.isAtLeast(bookTitleEntry.userCodeTime, 20);
+
+    // Its own time doesn't include selectBookTitle, but its inclusive time does
+    const [titlesForAuthorEntry] = report.slowestSelectors
+      .filter(entry => entry.displayName === 'selectTitlesForAuthor');
+    assert.equal(titlesForAuthorEntry.runCount, 2);
+    assert.isBelow(titlesForAuthorEntry.userCodeTime, titlesForAuthorEntry.inclusiveRunTime);
+    assert.isAtLeast(titlesForAuthorEntry.inclusiveRunTime, 20);
+
+    assert.closeTo(
+      report.userCodeTime,
+      report.slowestSelectors.reduce((total, entry) => total + entry.userCodeTime, 0),
+      0.001,
+    );
+  });
+
+  it('should measure dependency checks separately', () => {
+    context.run(() => {
+      selectTitlesForAuthor(initialState, { authorId: 1 });
+
+      startProfiling();
+      const newState = {
+        ...initialState,
+        bookIdsByAuthorId: { ...initialState.bookIdsByAuthorId, 2: [102, 104] },
+      };
+      selectTitlesForAuthor(newState, { authorId: 1 });
+    });
+    const report = context.run(getProfilerReport);
+
+    const [titlesForAuthorEntry] = report.slowestSelectors
+      .filter(entry => entry.displayName === 'selectTitlesForAuthor');
+    assert.equal(titlesForAuthorEntry.runCount, 0);
+    assert.equal(titlesForAuthorEntry.dependencyCheckCount, 1);
+    assert.isAtLeast(titlesForAuthorEntry.inclusiveDependencyCheckTime, titlesForAuthorEntry.dependencyCheckTime);
+    assert.equal(report.dependencyCheckTime, titlesForAuthorEntry.dependencyCheckTime);
+    // The root selector ran as part of the check
+    assert.equal(report.slowestSelectors.filter(entry => entry.displayName === 'selectBookIdsForAuthor')[0].runCount, 1);
+  });
+
+  it('should limit the report', () => {
+    context.run(() => {
+      startProfiling();
+      selectTitlesForAuthor(initialState, { authorId: 1 });
+    });
+    const report = context.run(getProfilerReport, { limit: 2 });
+    assert.equal(report.slowestSelectors.length, 2);
+    assert.equal(report.mostExpensiveParams.length, 2);
+  });
+
+  it('should format the report', () => {
+    context.run(() => {
+      startProfiling();
+      selectTitlesForAuthor(initialState, { authorId: 2 });
+    });
+    const report = context.run(getProfilerReport);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+
+    const lines = profilerReportToTable(report).split('\n');
+    assert.match(lines[0], /^Time in selector code: \d+\.\d\dms$/);
+    assert.match(lines[1], /^Time in dependency checks: \d+\.\d\dms$/);
+    assert.match(lines[3], /^Slowest selectors\s+self\s+runs\s+user code\s+inclusive\s+checks\s+checking\s+inclusive$/);
+    // Which selector comes first depends on timing
+    assert.match(lines[4], /^select\w+\s+\d+\.\d\d\s+1\s+/);
+    assert.isTrue(lines.some(line => /^selectBookTitle\s+\d+\.\d\d\s+1\s+/.test(line)));
+    assert.include(lines.join('\n'), 'selectBookTitle({"bookId":102})');
+  });
+});
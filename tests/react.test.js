@@ -0,0 +1,261 @@
+/* eslint-env mocha */
+import chai from 'chai';
+import React from 'react';
+import { Provider } from 'react-redux';
+import TestRenderer from 'react-test-renderer';
+
+import {
+  COMPARISON_PRESETS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+} from '../src/index';
+import { createUseParameterizedSelector, useParameterizedSelector } from '../react';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+const { act } = TestRenderer;
+
+// Just enough of a Redux store for these tests
+const createStore = (initialState) => {
+  let state = initialState;
+  let listeners = [];
+  return {
+    getState: () => state,
+    setState: (newState) => {
+      state = newState;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners = [...listeners, listener];
+      return () => {
+        listeners = listeners.filter(otherListener => otherListener !== listener);
+      };
+    },
+    dispatch: action => action,
+  };
+};
+
+describe('useParameterizedSelector', () => {
+  const initialState = {
+    bookDataById: {
+      101: { title: 'Alphabet', authorId: 1 },
+      102: { title: 'Binding', authorId: 2 },
+      103: { title: 'Chapter', authorId: 1 },
+    },
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102],
+    },
+  };
+
+  let selectRawBookData;
+  let selectBookIdsForAuthor;
+  let selectTitlesForAuthor;
+  let store;
+  let renders;
+  let renderer;
+
+  const TitleList = ({ authorId, options, useSelector = useParameterizedSelector }) => {
+    // A new params object on every render
+    const titles = useSelector(selectTitlesForAuthor, { authorId }, options);
+    renders.push(titles);
+    return titles.join(', ');
+  };
+  const renderTitleList = (element) => {
+    act(() => {
+      renderer = TestRenderer.create(element);
+    });
+  };
+  const setState = (newState) => {
+    act(() => {
+      store.setState(newState);
+    });
+  };
+
+  before(() => {
+    global.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+  after(() => {
+    delete global.IS_REACT_ACT_ENVIRONMENT;
+  });
+
+  beforeEach(() => {
+    selectRawBookData = createParameterizedRootSelector(
+      (state, { bookId }) => state.bookDataById[bookId],
+      { performanceChecksEnabled: true },
+    );
+    selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, { authorId }) => state.bookIdsByAuthorId[authorId],
+      { performanceChecksEnabled: true },
+    );
+    selectTitlesForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor({ authorId }).map(bookId => selectRawBookData({ bookId }).title),
+      {
+        compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
+        performanceChecksEnabled: true,
+      },
+    );
+    store = createStore(initialState);
+    renders = [];
+  });
+
+  afterEach(() => {
+    act(() => {
+      renderer.unmount();
+    });
+  });
+
+  it('should read the store from react-redux\'s Provider', () => {
+    renderTitleList(React.createElement(
+      Provider,
+      { store },
+      React.createElement(TitleList, { authorId: 1 }),
+    ));
+    assert.equal(renderer.toJSON(), 'Alphabet, Chapter');
+  });
+
+  it('should read the store from another context when asked to', () => {
+    // Unlike react-redux's context, this one holds the store itself
+    const StoreContext = React.createContext(null);
+    const useStoreContextSelector = createUseParameterizedSelector(StoreContext);
+    renderTitleList(React.createElement(
+      StoreContext.Provider,
+      { value: store },
+      React.createElement(TitleList, { authorId: 1, useSelector: useStoreContextSelector }),
+    ));
+    assert.equal(renderer.toJSON(), 'Alphabet, Chapter');
+  });
+
+  it('should keep each store context to the hook that was created for it', () => {
+    const OtherContext = React.createContext(null);
+    const otherStore = createStore({
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 101: { title: 'Abridged', authorId: 1 } },
+    });
+    const useOtherSelector = createUseParameterizedSelector(OtherContext);
+
+    renderTitleList(React.createElement(
+      Provider,
+      { store },
+      React.createElement(
+        OtherContext.Provider,
+        { value: otherStore },
+        React.createElement(TitleList, { authorId: 1 }),
+        React.createElement(TitleList, { authorId: 1, useSelector: useOtherSelector }),
+      ),
+    ));
+    assert.deepEqual(renderer.toJSON(), ['Alphabet, Chapter', 'Abridged, Chapter']);
+  });
+
+  it('should use an explicit store without any provider', () => {
+    renderTitleList(React.createElement(TitleList, { authorId: 2, options: { store } }));
+    assert.equal(renderer.toJSON(), 'Binding');
+
+    setState({
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 102: { title: 'Bookbinding', authorId: 2 } },
+    });
+    assert.equal(renderer.toJSON(), 'Bookbinding');
+  });
+
+  it('should re-render only when the selector returns something new', () => {
+    renderTitleList(React.createElement(TitleList, { authorId: 1, options: { store } }));
+    assert.equal(renders.length, 1);
+
+    // Unrelated to author 1
+    setState({
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 102: { title: 'Bookbinding', authorId: 2 } },
+    });
+    // A phantom run
+    setState({
+      ...store.getState(),
+      bookDataById: { ...store.getState().bookDataById, 103: { title: 'Chapter', authorId: 1, pageCount: 10 } },
+    });
+    assert.equal(renders.length, 1);
+
+    setState({
+      ...store.getState(),
+      bookDataById: { ...store.getState().bookDataById, 103: { title: 'Chapters', authorId: 1 } },
+    });
+    assert.equal(renders.length, 2);
+    assert.equal(renderer.toJSON(), 'Alphabet, Chapters');
+  });
+
+  it('should check the selector again once something is invalidated', () => {
+    renderTitleList(React.createElement(TitleList, { authorId: 1, options: { store } }));
+    assert.equal(renders.length, 1);
+
+    // act gives back a thenable, not a promise
+    return new Promise((resolve, reject) => {
+      act(() => {
+        selectTitlesForAuthor.invalidate({ authorId: 1 });
+        // The hook hears about it once the invalidation is done
+        return Promise.resolve();
+      }).then(resolve, reject);
+    }).then(() => {
+      assert.equal(renders.length, 2);
+      assert.notEqual(renders[1], renders[0]);
+      assert.equal(renderer.toJSON(), 'Alphabet, Chapter');
+    });
+  });
+
+  it('should treat equivalent params as the same params', () => {
+    renderTitleList(React.createElement(TitleList, { authorId: 1, options: { store } }));
+    act(() => {
+      renderer.update(React.createElement(TitleList, { authorId: 1, options: { store } }));
+    });
+    assert.equal(renders.length, 2);
+    assert.equal(renders[0], renders[1]);
+    assert.equal(selectTitlesForAuthor.getInvokeCountForParams({ authorId: 1 }), 1);
+
+    act(() => {
+      renderer.update(React.createElement(TitleList, { authorId: 2, options: { store } }));
+    });
+    assert.equal(renderer.toJSON(), 'Binding');
+  });
+
+  it('should settle when components keep evicting each other\'s results', () => {
+    selectTitlesForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor({ authorId }).map(bookId => selectRawBookData({ bookId }).title),
+      { maxCacheSize: 1 },
+    );
+    renderTitleList(React.createElement(
+      Provider,
+      { store },
+      React.createElement(TitleList, { authorId: 1 }),
+      React.createElement(TitleList, { authorId: 2 }),
+    ));
+    assert.deepEqual(renderer.toJSON(), ['Alphabet, Chapter', 'Binding']);
+    assert.equal(renders.length, 2);
+
+    setState({
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 102: { title: 'Bookbinding', authorId: 2 } },
+    });
+    assert.deepEqual(renderer.toJSON(), ['Alphabet, Chapter', 'Bookbinding']);
+  });
+
+  it('should run in the given selector context', () => {
+    const context = createSelectorContext();
+    renderTitleList(React.createElement(TitleList, { authorId: 2, options: { store, context } }));
+
+    assert.equal(renderer.toJSON(), 'Binding');
+    assert.equal(selectTitlesForAuthor.getGlobalInvokeCount(), 0);
+    assert.equal(context.run(selectTitlesForAuthor.getGlobalFullRunCount), 1);
+  });
+
+  it('should throw if there is no store', () => {
+    const originalConsoleError = console.error; // eslint-disable-line no-console
+    console.error = () => {}; // eslint-disable-line no-console
+    try {
+      assert.throws(
+        () => renderTitleList(React.createElement(TitleList, { authorId: 1 })),
+        'no store was given',
+      );
+    } finally {
+      console.error = originalConsoleError; // eslint-disable-line no-console
+    }
+    renderer = TestRenderer.create(null);
+  });
+});
@@ -0,0 +1,97 @@
+/* eslint-env mocha */
+import chai from 'chai';
+import { createSelector } from 'reselect';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  toReselectInput,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('toReselectInput', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: { name: 'Bob' },
+    },
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102],
+    },
+  };
+
+  let selectRawAuthorData;
+  let selectBookIdsForAuthor;
+  let selectAuthorSummary;
+  let resultFuncCalls;
+  let selectAuthorLabel;
+
+  beforeEach(() => {
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      { displayName: 'selectRawAuthorData' },
+    );
+    selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, { authorId }) => state.bookIdsByAuthorId[authorId],
+    );
+    selectAuthorSummary = createParameterizedSelector(
+      ({ authorId }) => ({
+        name: selectRawAuthorData({ authorId }).name,
+        bookCount: selectBookIdsForAuthor({ authorId }).length,
+      }),
+      { performanceChecksEnabled: true },
+    );
+
+    resultFuncCalls = 0;
+    selectAuthorLabel = createSelector(
+      toReselectInput(selectAuthorSummary, (state, props) => ({ authorId: props.authorId })),
+      (summary) => {
+        resultFuncCalls += 1;
+        return `${summary.name} (${summary.bookCount} books)`;
+      },
+    );
+  });
+
+  it('should work as an input to createSelector', () => {
+    assert.equal(selectAuthorLabel(initialState, { authorId: 1 }), 'Alice (2 books)');
+    assert.equal(selectAuthorLabel(initialState, { authorId: 2 }), 'Bob (1 books)');
+  });
+
+  it('should keep the parameterized cache', () => {
+    selectAuthorLabel(initialState, { authorId: 1 });
+    selectAuthorLabel(initialState, { authorId: 2 });
+    selectAuthorLabel(initialState, { authorId: 1 });
+    assert.equal(selectAuthorSummary.getFullRunCountForParams({ authorId: 1 }), 1);
+    assert.equal(selectAuthorSummary.getSkippedRunCountForParams({ authorId: 1 }), 1);
+
+    // Reselect only recomputes when the parameterized selector returns something new
+    resultFuncCalls = 0;
+    const unrelatedState = {
+      ...initialState,
+      authorDataById: { ...initialState.authorDataById, 2: { name: 'Robert' } },
+    };
+    selectAuthorLabel(initialState, { authorId: 1 });
+    selectAuthorLabel(unrelatedState, { authorId: 1 });
+    assert.equal(resultFuncCalls, 0);
+  });
+
+  it('should work without params', () => {
+    const selectAuthorCount = createParameterizedRootSelector(state => Object.keys(state.authorDataById).length);
+    const selectHasAuthors = createSelector(toReselectInput(selectAuthorCount), count => count > 0);
+    assert.equal(selectHasAuthors(initialState), true);
+  });
+
+  it('should use the state of the parameterized selector it is called from', () => {
+    const selectAuthorSummaryForProps = toReselectInput(selectAuthorSummary, (state, props) => props);
+    const selectAuthorNames = createParameterizedSelector(
+      ({ authorIds }) => authorIds.map(authorId => selectAuthorSummaryForProps(null, { authorId }).name),
+    );
+    assert.deepEqual(selectAuthorNames(initialState, { authorIds: [2, 1] }), ['Bob', 'Alice']);
+  });
+
+  it('should have a displayName', () => {
+    assert.equal(toReselectInput(selectRawAuthorData).displayName, 'toReselectInput(selectRawAuthorData)');
+  });
+});
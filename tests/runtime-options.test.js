@@ -0,0 +1,110 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  ERROR_POLICIES,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorRegistry,
+  getSelectorByDisplayName,
+  setGlobalOptions,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Runtime options', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+    },
+  };
+
+  let registry;
+  let selectRawAuthorData;
+  let selectAuthorName;
+
+  beforeEach(() => {
+    registry = createSelectorRegistry();
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      { displayName: 'runtime:selectRawAuthorData', registry },
+    );
+    selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      { displayName: 'runtime:selectAuthorName', registry },
+    );
+  });
+
+  it('should change options after the selector is created', () => {
+    const fullRuns = [];
+    selectAuthorName(initialState, { authorId: 1 });
+    selectAuthorName.setOptions({
+      onFullRun: event => fullRuns.push(event.keyParams),
+    });
+    selectAuthorName({ ...initialState }, { authorId: 1 });
+    assert.deepEqual(fullRuns, []);
+    selectAuthorName({ authorDataById: { 1: { name: 'Alicia' } } }, { authorId: 1 });
+    assert.deepEqual(fullRuns, [{ authorId: 1 }]);
+
+    selectAuthorName.setOptions({ onFullRun: null });
+    selectAuthorName(initialState, { authorId: 1 });
+    assert.deepEqual(fullRuns, [{ authorId: 1 }]);
+  });
+
+  it('should keep the displayName in sync', () => {
+    selectAuthorName.setOptions({ displayName: 'runtime:selectAuthorFullName' });
+    assert.equal(selectAuthorName.displayName, 'runtime:selectAuthorFullName');
+    assert.equal(selectAuthorName.getOptions().displayName, 'runtime:selectAuthorFullName');
+    assert.equal(getSelectorByDisplayName('runtime:selectAuthorFullName'), selectAuthorName);
+  });
+
+  it('should give a copy of the options', () => {
+    const options = selectAuthorName.getOptions();
+    assert.equal(options.isRootSelector, false);
+    assert.equal(options.verboseLoggingEnabled, false);
+    options.verboseLoggingEnabled = true;
+    assert.equal(selectAuthorName.getOptions().verboseLoggingEnabled, false);
+  });
+
+  it('should reject options that can only be set at initialization', () => {
+    assert.throws(
+      () => selectAuthorName.setOptions({ warningsEnabled: false, errorPolicy: ERROR_POLICIES.FALLBACK_VALUE }),
+      'runtime:selectAuthorName.setOptions can\'t change options that are only settable at initialization: errorPolicy',
+    );
+    assert.throws(
+      () => selectAuthorName.setOptions({ verboseLogingEnabled: true }),
+      'runtime:selectAuthorName.setOptions was given unrecognized options: verboseLogingEnabled',
+    );
+    // Nothing was changed
+    assert.equal(selectAuthorName.getOptions().warningsEnabled, true);
+    assert.equal(selectAuthorName.getOptions().errorPolicy, ERROR_POLICIES.RETRY);
+  });
+
+  it('should change the options of every selector in a registry', () => {
+    const verboseLogs = [];
+    registry.setAllOptions({
+      verboseLoggingEnabled: true,
+      verboseLoggingCallback: message => verboseLogs.push(message),
+      useConsoleGroup: false,
+    });
+    assert.equal(selectRawAuthorData.getOptions().verboseLoggingEnabled, true);
+    selectAuthorName(initialState, { authorId: 1 });
+    assert.isAbove(verboseLogs.filter(message => message.includes('runtime:selectRawAuthorData')).length, 0);
+    assert.isAbove(verboseLogs.filter(message => message.includes('runtime:selectAuthorName')).length, 0);
+
+    assert.throws(() => registry.setAllOptions({ isRootSelector: true }), /only settable at initialization/);
+  });
+
+  it('should change the options of every selector', () => {
+    try {
+      setGlobalOptions({ useConsoleGroup: false });
+      assert.equal(selectRawAuthorData.getOptions().useConsoleGroup, false);
+      assert.equal(selectAuthorName.getOptions().useConsoleGroup, false);
+    } finally {
+      setGlobalOptions({ useConsoleGroup: true });
+    }
+    assert.equal(selectAuthorName.getOptions().useConsoleGroup, true);
+
+    assert.throws(() => setGlobalOptions({ maxCacheSize: 10 }), /only settable at initialization: maxCacheSize/);
+  });
+});
@@ -0,0 +1,183 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  CACHE_PRESETS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  parameterizedSelectorFactory,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('selectMany', () => {
+  const initialState = {
+    language: 'en',
+    bookDataById: {
+      101: { title: 'Alphabet' },
+      102: { title: 'Binding' },
+      103: { title: 'Chapter' },
+    },
+    authorIds: [1, 2],
+  };
+  const bookParamsList = [{ bookId: 101 }, { bookId: 102 }, { bookId: 103 }];
+
+  let selectLanguage;
+  let selectRawBookData;
+  let selectBookLabel;
+
+  beforeEach(() => {
+    selectLanguage = createParameterizedRootSelector(
+      state => state.language,
+      { displayName: 'selectMany:selectLanguage', performanceChecksEnabled: true },
+    );
+    selectRawBookData = createParameterizedRootSelector(
+      (state, { bookId }) => state.bookDataById[bookId],
+      { displayName: 'selectMany:selectRawBookData', performanceChecksEnabled: true },
+    );
+    selectBookLabel = createParameterizedSelector(
+      ({ bookId }) => {
+        const { title } = selectRawBookData({ bookId });
+        if (!title) {
+          throw new Error(`Book ${bookId} has no title`);
+        }
+        return { label: `${title} (${selectLanguage()})` };
+      },
+      { displayName: 'selectMany:selectBookLabel', performanceChecksEnabled: true },
+    );
+  });
+
+  it('should return the results in the same order as the params', () => {
+    const labels = selectBookLabel.selectMany(initialState, [{ bookId: 103 }, { bookId: 101 }]);
+    assert.deepEqual(labels, [{ label: 'Chapter (en)' }, { label: 'Alphabet (en)' }]);
+
+    // They're the same results the selector gives on its own
+    assert.equal(selectBookLabel(initialState, { bookId: 101 }), labels[1]);
+    assert.equal(selectBookLabel.getFullRunCountForParams({ bookId: 101 }), 1);
+    assert.deepEqual(selectBookLabel.selectMany(initialState, []), []);
+  });
+
+  it('should return the same array until one of its results changes', () => {
+    const labels = selectBookLabel.selectMany(initialState, bookParamsList);
+    assert.equal(selectBookLabel.selectMany(initialState, [...bookParamsList]), labels);
+
+    const unrelatedState = { ...initialState, authorIds: [1, 2, 3] };
+    assert.equal(selectBookLabel.selectMany(unrelatedState, bookParamsList), labels);
+
+    const newState = {
+      ...unrelatedState,
+      bookDataById: { ...initialState.bookDataById, 102: { title: 'Bookbinding' } },
+    };
+    const newLabels = selectBookLabel.selectMany(newState, bookParamsList);
+    assert.notEqual(newLabels, labels);
+    assert.deepEqual(newLabels[1], { label: 'Bookbinding (en)' });
+    assert.equal(newLabels[0], labels[0]);
+    assert.equal(newLabels[2], labels[2]);
+
+    // Each list of params is tracked separately
+    assert.notEqual(selectBookLabel.selectMany(newState, [{ bookId: 101 }]), newLabels);
+    assert.equal(selectBookLabel.selectMany(newState, bookParamsList), newLabels);
+  });
+
+  it('should only keep an array as long as its results are cached', () => {
+    const bookDataList = selectRawBookData.selectMany(initialState, bookParamsList);
+    assert.equal(selectRawBookData.selectMany(initialState, bookParamsList), bookDataList);
+
+    // Running again gives the same values, but the array went away with the invalidated result
+    selectRawBookData.invalidate({ bookId: 102 });
+    const newBookDataList = selectRawBookData.selectMany(initialState, bookParamsList);
+    assert.notEqual(newBookDataList, bookDataList);
+    assert.deepEqual(newBookDataList, bookDataList);
+    assert.equal(selectRawBookData.selectMany(initialState, bookParamsList), newBookDataList);
+
+    selectRawBookData.clearCache();
+    assert.notEqual(selectRawBookData.selectMany(initialState, bookParamsList), newBookDataList);
+  });
+
+  it('should drop its arrays along with evicted results', () => {
+    const selectBoundedBookData = createParameterizedRootSelector(
+      (state, { bookId }) => state.bookDataById[bookId],
+      { displayName: 'selectMany:selectBoundedBookData', maxCacheSize: 2 },
+    );
+    const firstBookParamsList = [{ bookId: 101 }, { bookId: 102 }];
+    const firstBookDataList = selectBoundedBookData.selectMany(initialState, firstBookParamsList);
+    assert.equal(selectBoundedBookData.selectMany(initialState, firstBookParamsList), firstBookDataList);
+
+    selectBoundedBookData(initialState, { bookId: 103 });
+    assert.notEqual(selectBoundedBookData.selectMany(initialState, firstBookParamsList), firstBookDataList);
+
+    // A list that doesn't fit in the cache doesn't keep its array
+    const allBookDataList = selectBoundedBookData.selectMany(initialState, bookParamsList);
+    assert.notEqual(selectBoundedBookData.selectMany(initialState, bookParamsList), allBookDataList);
+  });
+
+  it('should always give the same empty array for an empty list', () => {
+    const emptyList = selectBookLabel.selectMany(initialState, []);
+    assert.deepEqual(emptyList, []);
+    assert.isFrozen(emptyList);
+    assert.equal(selectBookLabel.selectMany(initialState, []), emptyList);
+    assert.equal(selectRawBookData.selectMany({ ...initialState }, []), emptyList);
+  });
+
+  it('should check the dependencies that its results have in common only once', () => {
+    selectBookLabel.selectMany(initialState, bookParamsList);
+    assert.equal(selectLanguage.getGlobalInvokeCount(), 3);
+
+    const unrelatedState = { ...initialState, authorIds: [1, 2, 3] };
+    selectBookLabel.selectMany(unrelatedState, bookParamsList);
+    assert.equal(selectLanguage.getGlobalInvokeCount(), 4);
+    assert.equal(selectRawBookData.getGlobalInvokeCount(), 6);
+    assert.equal(selectBookLabel.getGlobalSkippedRunCount(), 3);
+
+    // Without selectMany, each result checks it on its own
+    const otherUnrelatedState = { ...initialState, authorIds: [1] };
+    bookParamsList.forEach(bookParams => selectBookLabel(otherUnrelatedState, bookParams));
+    assert.equal(selectLanguage.getGlobalInvokeCount(), 7);
+  });
+
+  it('should be recorded as a dependency when called from another selector', () => {
+    const selectBookLabelCount = createParameterizedSelector(
+      ({ bookIds }) => selectBookLabel.selectMany(bookIds.map(bookId => ({ bookId }))).length,
+      { displayName: 'selectMany:selectBookLabelCount', performanceChecksEnabled: true },
+    );
+    assert.equal(selectBookLabelCount(initialState, { bookIds: [101, 102] }), 2);
+
+    const newState = { ...initialState, language: 'fr' };
+    assert.equal(selectBookLabelCount(newState, { bookIds: [101, 102] }), 2);
+    assert.equal(selectBookLabelCount.getFullRunCountForParams({ bookIds: [101, 102] }), 1);
+    assert.equal(selectBookLabelCount.getPhantomRunCountForParams({ bookIds: [101, 102] }), 1);
+  });
+
+  it('should work without a createKeyFromParams when the cache does not need one', () => {
+    const createNamedParamsSelector = parameterizedSelectorFactory.withOptions({
+      createCache: CACHE_PRESETS.NAMED_PARAMS,
+      performanceChecksEnabled: true,
+    });
+    const selectTitle = createNamedParamsSelector(
+      (state, { bookId }) => state.bookDataById[bookId].title,
+      { displayName: 'selectMany:selectTitle', isRootSelector: true },
+    );
+    const selectTitleLength = createNamedParamsSelector(
+      ({ bookId }) => selectTitle({ bookId }).length,
+      { displayName: 'selectMany:selectTitleLength', isRootSelector: false },
+    );
+
+    const titleLengths = selectTitleLength.selectMany(initialState, bookParamsList);
+    assert.deepEqual(titleLengths, [8, 7, 7]);
+
+    const unrelatedState = { ...initialState, authorIds: [1, 2, 3] };
+    assert.equal(selectTitleLength.selectMany(unrelatedState, bookParamsList), titleLengths);
+    assert.equal(selectTitleLength.getGlobalSkippedRunCount(), 3);
+  });
+
+  it('should throw the first error', () => {
+    selectBookLabel.setOptions({ exceptionCallback: () => null });
+    const brokenState = {
+      ...initialState,
+      bookDataById: { ...initialState.bookDataById, 102: {}, 103: {} },
+    };
+    assert.throws(() => selectBookLabel.selectMany(brokenState, bookParamsList), 'Book 102 has no title');
+    // It can be used normally afterwards
+    assert.deepEqual(selectBookLabel.selectMany(initialState, [{ bookId: 101 }]), [{ label: 'Alphabet (en)' }]);
+  });
+});
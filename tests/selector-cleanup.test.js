@@ -0,0 +1,8 @@
+/* eslint-env mocha */
+import { getAllSelectors } from '../src/index';
+
+// Most tests create their selectors anew for each test, under the same displayNames. Unregistering them afterwards
+// keeps them from being warned about as duplicates (and from being found by lookups in later tests.)
+afterEach(() => {
+  getAllSelectors().forEach(parameterizedSelector => parameterizedSelector.unregister());
+});
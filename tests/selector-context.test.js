@@ -0,0 +1,135 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+  defaultSelectorContext,
+  dehydrate,
+  rehydrate,
+} from '../src/index';
+import { getActiveContext } from '../src/selectorContext';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Selector contexts', () => {
+  const firstState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+    },
+  };
+  const secondState = {
+    authorDataById: {
+      1: { name: 'Alicia' },
+    },
+  };
+
+  let selectRawAuthorData;
+  let selectAuthorName;
+
+  beforeEach(() => {
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      {
+        displayName: 'context:selectRawAuthorData',
+        performanceChecksEnabled: true,
+      },
+    );
+    selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name.toUpperCase(),
+      {
+        displayName: 'context:selectAuthorName',
+        performanceChecksEnabled: true,
+      },
+    );
+  });
+
+  it('should keep separate caches and counters for each context', () => {
+    const firstContext = createSelectorContext();
+    const secondContext = createSelectorContext();
+
+    // Alternating between the two states would make each call a full run, if they shared a cache
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal(firstContext.run(selectAuthorName, firstState, { authorId: 1 }), 'ALICE');
+      assert.equal(secondContext.run(selectAuthorName, secondState, { authorId: 1 }), 'ALICIA');
+    }
+
+    firstContext.run(() => {
+      assert.equal(selectAuthorName.getGlobalInvokeCount(), 3);
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 1);
+      assert.equal(selectAuthorName.getSkippedRunCountForParams({ authorId: 1 }), 2);
+    });
+    secondContext.run(() => {
+      assert.equal(selectAuthorName.getGlobalInvokeCount(), 3);
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 1);
+    });
+
+    // The default context wasn't touched at all
+    assert.equal(selectAuthorName.getGlobalInvokeCount(), 0);
+    assert.equal(selectAuthorName.hasCachedResult(firstState, { authorId: 1 }), false);
+  });
+
+  it('should return to the previous context afterwards, even if something throws', () => {
+    const outerContext = createSelectorContext('outer');
+    const innerContext = createSelectorContext('inner');
+    const reportedErrorMessages = [];
+    selectAuthorName.setOptions({ exceptionCallback: errorMessage => reportedErrorMessages.push(errorMessage) });
+
+    assert.equal(getActiveContext(), defaultSelectorContext);
+    outerContext.run(() => {
+      assert.equal(getActiveContext(), outerContext);
+      assert.throws(() => innerContext.run(() => {
+        assert.equal(getActiveContext(), innerContext);
+        selectAuthorName(firstState, { authorId: 2 });
+      }), TypeError);
+      assert.equal(getActiveContext(), outerContext);
+
+      // The inner context's call stack was cleaned up, too
+      assert.equal(innerContext.callStack.length, 0);
+    });
+    assert.equal(getActiveContext(), defaultSelectorContext);
+    assert.equal(reportedErrorMessages.length, 1);
+  });
+
+  it('should pass along arguments and the return value', () => {
+    const context = createSelectorContext();
+    const result = context.run(selectAuthorName, firstState, { authorId: 1 });
+
+    assert.equal(result, 'ALICE');
+    assert.equal(context.run(selectAuthorName.getGlobalFullRunCount), 1);
+  });
+
+  it('should only invalidate results within the active context', () => {
+    const firstContext = createSelectorContext();
+    const secondContext = createSelectorContext();
+    firstContext.run(selectAuthorName, firstState, { authorId: 1 });
+    secondContext.run(selectAuthorName, firstState, { authorId: 1 });
+
+    firstContext.run(() => selectRawAuthorData.invalidate({ authorId: 1 }));
+
+    assert.equal(firstContext.cacheInvalidationCount, 1);
+    assert.equal(secondContext.cacheInvalidationCount, 0);
+    assert.equal(firstContext.run(selectRawAuthorData.hasCachedResult, firstState, { authorId: 1 }), false);
+    assert.equal(secondContext.run(selectRawAuthorData.hasCachedResult, firstState, { authorId: 1 }), true);
+  });
+
+  it('should let each request dehydrate and rehydrate its own results', () => {
+    const serverContext = createSelectorContext('server request');
+    const snapshot = serverContext.run(() => {
+      selectAuthorName(firstState, { authorId: 1 });
+      return dehydrate([selectRawAuthorData, selectAuthorName]);
+    });
+
+    const clientContext = createSelectorContext('client');
+    clientContext.run(() => {
+      assert.equal(rehydrate(snapshot, firstState), 1);
+      assert.equal(selectAuthorName(firstState, { authorId: 1 }), 'ALICE');
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 0);
+    });
+    assert.deepEqual(dehydrate([selectAuthorName]), {
+      returnValues: {},
+      results: { 'context:selectAuthorName': [] },
+    });
+  });
+});
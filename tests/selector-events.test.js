@@ -0,0 +1,171 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  COMPARISON_PRESETS,
+  SELECTOR_EVENT_REASONS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Lifecycle events', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: { name: 'Bob' },
+    },
+  };
+
+  let events;
+  let selectRawAuthorData;
+  let selectAuthorName;
+  const recordEvent = event => events.push(event);
+  const eventOptions = {
+    onInvoke: recordEvent,
+    onSkippedRun: recordEvent,
+    onPhantomRun: recordEvent,
+    onFullRun: recordEvent,
+    onAbortedRun: recordEvent,
+  };
+  const getEventsFor = (selector, type) => events.filter(event => event.selector === selector && event.type === type);
+
+  beforeEach(() => {
+    events = [];
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      {
+        displayName: 'selectRawAuthorData',
+        ...eventOptions,
+      },
+    );
+    selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => ({ name: selectRawAuthorData({ authorId }).name.toUpperCase() }),
+      {
+        displayName: 'selectAuthorName',
+        compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
+        ...eventOptions,
+      },
+    );
+  });
+
+  it('should describe each invocation', () => {
+    selectAuthorName(initialState, { authorId: 1 });
+
+    const [invokeEvent] = getEventsFor(selectAuthorName, 'invoke');
+    assert.equal(invokeEvent.displayName, 'selectAuthorName');
+    assert.deepEqual(invokeEvent.keyParams, { authorId: 1 });
+    assert.equal(invokeEvent.keyParamsString, '{"authorId":1}');
+    assert.equal(invokeEvent.state, initialState);
+    assert.isUndefined(invokeEvent.previousReturnValue);
+    assert.isUndefined(invokeEvent.returnValue);
+    assert.isNull(invokeEvent.reason);
+    assert.isAtLeast(invokeEvent.duration, 0);
+    assert.isNull(invokeEvent.parentSelector);
+    assert.isNull(invokeEvent.parentKeyParams);
+  });
+
+  it('should describe full runs, including the parent caller', () => {
+    const returnValue = selectAuthorName(initialState, { authorId: 1 });
+
+    const [fullRunEvent] = getEventsFor(selectAuthorName, 'fullRun');
+    assert.equal(fullRunEvent.returnValue, returnValue);
+    assert.equal(fullRunEvent.reason, SELECTOR_EVENT_REASONS.NO_CACHED_RESULT);
+    assert.isAtLeast(fullRunEvent.duration, 0);
+
+    const [rootFullRunEvent] = getEventsFor(selectRawAuthorData, 'fullRun');
+    assert.equal(rootFullRunEvent.returnValue, initialState.authorDataById[1]);
+    assert.equal(rootFullRunEvent.parentSelector, selectAuthorName);
+    assert.deepEqual(rootFullRunEvent.parentKeyParams, { authorId: 1 });
+
+    // Root selectors re-run whenever the state changes
+    events = [];
+    const newState = {
+      authorDataById: { ...initialState.authorDataById, 1: { name: 'Alicia' } },
+    };
+    const newReturnValue = selectAuthorName(newState, { authorId: 1 });
+    assert.equal(getEventsFor(selectRawAuthorData, 'fullRun')[0].reason, SELECTOR_EVENT_REASONS.STATE_CHANGED);
+
+    const [secondFullRunEvent] = getEventsFor(selectAuthorName, 'fullRun');
+    assert.equal(secondFullRunEvent.reason, SELECTOR_EVENT_REASONS.DEPENDENCIES_CHANGED);
+    assert.equal(secondFullRunEvent.previousReturnValue, returnValue);
+    assert.equal(secondFullRunEvent.returnValue, newReturnValue);
+    assert.equal(secondFullRunEvent.state, newState);
+  });
+
+  it('should describe skipped runs', () => {
+    const returnValue = selectAuthorName(initialState, { authorId: 1 });
+    events = [];
+    selectAuthorName(initialState, { authorId: 1 });
+
+    const [skippedRunEvent] = getEventsFor(selectAuthorName, 'skippedRun');
+    assert.equal(skippedRunEvent.reason, SELECTOR_EVENT_REASONS.STATE_UNCHANGED);
+    assert.equal(skippedRunEvent.previousReturnValue, returnValue);
+    assert.equal(skippedRunEvent.returnValue, returnValue);
+
+    events = [];
+    const unrelatedState = {
+      authorDataById: { ...initialState.authorDataById, 2: { name: 'Robert' } },
+    };
+    selectAuthorName(unrelatedState, { authorId: 1 });
+    assert.equal(
+      getEventsFor(selectAuthorName, 'skippedRun')[0].reason,
+      SELECTOR_EVENT_REASONS.DEPENDENCIES_UNCHANGED,
+    );
+    // The root selector was checked on behalf of selectAuthorName
+    assert.equal(getEventsFor(selectRawAuthorData, 'phantomRun')[0].parentSelector, selectAuthorName);
+  });
+
+  it('should describe phantom runs', () => {
+    const returnValue = selectAuthorName(initialState, { authorId: 1 });
+    events = [];
+    const equivalentState = {
+      authorDataById: { ...initialState.authorDataById, 1: { name: 'alice' } },
+    };
+    assert.equal(selectAuthorName(equivalentState, { authorId: 1 }), returnValue);
+
+    const [phantomRunEvent] = getEventsFor(selectAuthorName, 'phantomRun');
+    assert.equal(phantomRunEvent.reason, SELECTOR_EVENT_REASONS.RESULT_EQUIVALENT);
+    assert.equal(phantomRunEvent.previousReturnValue, returnValue);
+    // This is the equivalent value that got discarded
+    assert.notEqual(phantomRunEvent.returnValue, returnValue);
+    assert.deepEqual(phantomRunEvent.returnValue, returnValue);
+  });
+
+  it('should describe aborted runs', () => {
+    assert.equal(selectAuthorName.hasCachedResult(initialState, { authorId: 2 }), false);
+
+    const [abortedRunEvent] = getEventsFor(selectAuthorName, 'abortedRun');
+    assert.equal(abortedRunEvent.reason, SELECTOR_EVENT_REASONS.RUN_NOT_ALLOWED);
+    assert.deepEqual(abortedRunEvent.keyParams, { authorId: 2 });
+    assert.isUndefined(abortedRunEvent.returnValue);
+  });
+
+  it('should report callbacks that throw, without getting in the way', () => {
+    const exceptionCalls = [];
+    const error = new Error('Broken callback');
+    selectAuthorName.setOptions({
+      onFullRun: () => {
+        throw error;
+      },
+      exceptionCallback: (...args) => exceptionCalls.push(args),
+    });
+
+    assert.deepEqual(selectAuthorName(initialState, { authorId: 1 }), { name: 'ALICE' });
+    assert.equal(exceptionCalls.length, 1);
+    const [errorMessage, reportedError, details] = exceptionCalls[0];
+    assert.include(errorMessage, 'has an onFullRun callback that threw an exception: Broken callback');
+    assert.equal(reportedError, error);
+    assert.deepEqual(details, {
+      displayName: 'selectAuthorName',
+      keyParams: { authorId: 1 },
+      dependencyPath: ['selectAuthorName({"authorId":1})'],
+    });
+
+    // Everything afterwards works as usual
+    assert.deepEqual(selectRawAuthorData(initialState, { authorId: 2 }), { name: 'Bob' });
+    assert.deepEqual(selectAuthorName(initialState, { authorId: 2 }), { name: 'BOB' });
+    assert.equal(exceptionCalls.length, 2);
+  });
+});
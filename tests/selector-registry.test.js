@@ -0,0 +1,173 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+  createSelectorRegistry,
+  getAllSelectors,
+  getSelectorByDisplayName,
+  clearAllCaches,
+  getAllGlobalCounts,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Selector registries', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: { name: 'Bob' },
+    },
+  };
+
+  let registry;
+  let warnings;
+  let selectRawAuthorData;
+  let selectAuthorName;
+
+  beforeEach(() => {
+    registry = createSelectorRegistry('authors');
+    warnings = [];
+    const registryOptions = {
+      registry,
+      performanceChecksEnabled: true,
+      warningsCallback: message => warnings.push(message),
+    };
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      { displayName: 'registry:selectRawAuthorData', ...registryOptions },
+    );
+    selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      { displayName: 'registry:selectAuthorName', ...registryOptions },
+    );
+  });
+
+  it('should find its selectors', () => {
+    assert.equal(registry.displayName, 'authors');
+    assert.deepEqual(registry.getAllSelectors(), [selectRawAuthorData, selectAuthorName]);
+    assert.equal(registry.getSelectorByDisplayName('registry:selectAuthorName'), selectAuthorName);
+    assert.isNull(registry.getSelectorByDisplayName('registry:selectBook'));
+
+    // Selectors in a scoped registry are in the default registry as well
+    assert.include(getAllSelectors(), selectAuthorName);
+    assert.equal(getSelectorByDisplayName('registry:selectAuthorName'), selectAuthorName);
+  });
+
+  it('should add up the counts of all its selectors', () => {
+    selectAuthorName(initialState, { authorId: 1 });
+    selectAuthorName(initialState, { authorId: 2 });
+    selectAuthorName(initialState, { authorId: 1 });
+
+    assert.deepEqual(registry.getAllGlobalCounts(), {
+      globalInvokeCount: 5,
+      globalSkippedRunCount: 1,
+      globalPhantomRunCount: 0,
+      globalFullRunCount: 4,
+      globalAbortedRunCount: 0,
+      globalEvictionCount: 0,
+      globalPrefetchedRunCount: 0,
+      globalPrefetchHitCount: 0,
+    });
+    assert.isAtLeast(getAllGlobalCounts().globalInvokeCount, 5);
+
+    registry.resetAllCounts();
+    assert.equal(registry.getAllGlobalCounts().globalInvokeCount, 0);
+    assert.equal(selectAuthorName.getInvokeCountForParams({ authorId: 1 }), 0);
+    // The cached results are kept
+    selectAuthorName(initialState, { authorId: 1 });
+    assert.equal(registry.getAllGlobalCounts().globalSkippedRunCount, 1);
+  });
+
+  it('should clear the caches of all its selectors', () => {
+    selectAuthorName(initialState, { authorId: 1 });
+    selectAuthorName(initialState, { authorId: 2 });
+
+    assert.equal(registry.clearAllCaches(), 4);
+    assert.equal(selectRawAuthorData.hasCachedResult(initialState, { authorId: 1 }), false);
+    assert.equal(selectAuthorName.hasCachedResult(initialState, { authorId: 1 }), false);
+
+    selectAuthorName(initialState, { authorId: 1 });
+    assert.isAtLeast(clearAllCaches(), 2);
+  });
+
+  it('should only touch the active context', () => {
+    const context = createSelectorContext();
+    selectAuthorName(initialState, { authorId: 1 });
+    context.run(selectAuthorName, initialState, { authorId: 2 });
+
+    assert.equal(context.run(registry.clearAllCaches), 2);
+    assert.equal(selectAuthorName.hasCachedResult(initialState, { authorId: 1 }), true);
+  });
+
+  it('should warn when a selector is created with the displayName of another live selector', () => {
+    const selectOtherAuthorName = createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      {
+        displayName: 'registry:selectAuthorName',
+        registry,
+        warningsCallback: message => warnings.push(message),
+      },
+    );
+    assert.deepEqual(warnings, [
+      'registry:selectAuthorName has the same displayName as 1 other live selector(s): looking it up by displayName will only find the newest one',
+    ]);
+
+    // The newest one wins, without another warning
+    assert.equal(registry.getSelectorByDisplayName('registry:selectAuthorName'), selectOtherAuthorName);
+    assert.equal(getSelectorByDisplayName('registry:selectAuthorName'), selectOtherAuthorName);
+    assert.equal(warnings.length, 1);
+
+    // Once it's unregistered, the name is free again
+    selectOtherAuthorName.unregister();
+    assert.deepEqual(registry.getAllSelectors(), [selectRawAuthorData, selectAuthorName]);
+    assert.notInclude(getAllSelectors(), selectOtherAuthorName);
+    assert.equal(registry.getSelectorByDisplayName('registry:selectAuthorName'), selectAuthorName);
+  });
+
+  it('should warn about selectors in other registries, since they all share the default one', () => {
+    createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      {
+        displayName: 'registry:selectAuthorName',
+        registry: createSelectorRegistry(),
+        warningsCallback: message => warnings.push(message),
+      },
+    );
+    assert.equal(warnings.length, 1);
+    assert.equal(registry.getSelectorByDisplayName('registry:selectAuthorName'), selectAuthorName);
+  });
+
+  it('should not warn about a recreated selector once the old one is unregistered', () => {
+    const createAuthorNameSelector = () => createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      {
+        displayName: 'registry:selectRecreatedAuthorName',
+        warningsCallback: message => warnings.push(message),
+      },
+    );
+    // e.g. after hot module reloading
+    const firstSelector = createAuthorNameSelector();
+    firstSelector.unregister();
+    const secondSelector = createAuthorNameSelector();
+    assert.equal(secondSelector(initialState, { authorId: 1 }), 'Alice');
+    assert.deepEqual(warnings, []);
+    assert.equal(getSelectorByDisplayName('registry:selectRecreatedAuthorName'), secondSelector);
+  });
+
+  it('should find a selector by its new displayName after setOptions, and warn if that is taken', () => {
+    selectAuthorName.setOptions({ displayName: 'registry:selectRenamedAuthorName' });
+    assert.equal(registry.getSelectorByDisplayName('registry:selectRenamedAuthorName'), selectAuthorName);
+    assert.equal(getSelectorByDisplayName('registry:selectRenamedAuthorName'), selectAuthorName);
+    assert.isNull(getSelectorByDisplayName('registry:selectAuthorName'));
+    assert.deepEqual(warnings, []);
+
+    selectAuthorName.setOptions({ displayName: 'registry:selectRawAuthorData' });
+    assert.deepEqual(warnings, [
+      'registry:selectRawAuthorData has the same displayName as 1 other live selector(s): looking it up by displayName will only find the newest one',
+    ]);
+    assert.equal(registry.getSelectorByDisplayName('registry:selectRawAuthorData'), selectAuthorName);
+  });
+});
@@ -0,0 +1,113 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  CircularDependencyError,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+describe('Selector stacks on thrown errors', () => {
+  const state = {
+    bookDataById: {
+      101: { title: 'Alphabet', authorId: 1 },
+    },
+  };
+  const quietOptions = {
+    warningsCallback: () => {},
+    exceptionCallback: () => {},
+  };
+
+  const createSelectors = (addSelectorStackToErrorMessages) => {
+    const options = {
+      ...quietOptions,
+      addSelectorStackToErrorMessages,
+    };
+    const selectRawBookData = createParameterizedRootSelector(
+      (innerState, { bookId }) => {
+        if (!innerState.bookDataById[bookId]) {
+          throw new Error(`No book ${bookId}`);
+        }
+        return innerState.bookDataById[bookId];
+      },
+      {
+        displayName: 'selectRawBookData',
+        ...options,
+      },
+    );
+    const selectBookTitle = createParameterizedSelector(
+      ({ bookId }) => selectRawBookData({ bookId }).title,
+      {
+        displayName: 'selectBookTitle',
+        ...options,
+      },
+    );
+    const selectBookTitles = createParameterizedSelector(
+      ({ bookIds }) => bookIds.map(bookId => selectBookTitle({ bookId })),
+      {
+        displayName: 'selectBookTitles',
+        ...options,
+      },
+    );
+    return selectBookTitles;
+  };
+
+  const getThrownError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  it('should list every selector call that led to the error', () => {
+    const selectBookTitles = createSelectors(false);
+    const error = getThrownError(() => selectBookTitles(state, { bookIds: [101, 102] }));
+
+    assert.deepEqual(error.selectorStack, [
+      'selectBookTitles({"bookIds":[101,102]})',
+      'selectBookTitle({"bookId":102})',
+      'selectRawBookData({"bookId":102})',
+    ]);
+    assert.equal(error.message, 'No book 102');
+    // The original stack is kept
+    assert.include(error.stack, 'selector-stack.test.js');
+  });
+
+  it('should add the selector stack to the message if addSelectorStackToErrorMessages is set', () => {
+    const selectBookTitles = createSelectors(true);
+    const error = getThrownError(() => selectBookTitles(state, { bookIds: [102] }));
+
+    assert.equal(
+      error.message,
+      'No book 102\n  in selector: selectBookTitles({"bookIds":[102]}) -> selectBookTitle({"bookId":102}) -> selectRawBookData({"bookId":102})',
+    );
+  });
+
+  it('should leave thrown values that are not errors alone', () => {
+    const selectNothing = createParameterizedSelector(
+      () => {
+        throw 'nothing'; // eslint-disable-line no-throw-literal
+      },
+      quietOptions,
+    );
+    assert.equal(getThrownError(() => selectNothing(state, {})), 'nothing');
+  });
+
+  it('should be added to circular dependency errors', () => {
+    const selectLoop = createParameterizedSelector(
+      ({ id }) => selectLoop({ id }), // eslint-disable-line no-use-before-define
+      {
+        displayName: 'selectLoop',
+        ...quietOptions,
+      },
+    );
+    const error = getThrownError(() => selectLoop(state, { id: 1 }));
+
+    assert.instanceOf(error, CircularDependencyError);
+    assert.deepEqual(error.selectorStack, ['selectLoop({"id":1})', 'selectLoop({"id":1})']);
+  });
+});
@@ -4,6 +4,9 @@ import chai from 'chai';
 import {
   KEY_PRESETS,
   COMPARISON_PRESETS,
+  CACHE_PRESETS,
+  EVICTION_PRESETS,
+  CircularDependencyError,
   parameterizedSelectorFactory,
 } from '../src/index';
 
@@ -129,3 +132,554 @@ describe('parameterized selector factory', () => {
     assert.equal(selectLetterById.getGlobalAbortedRunCount(), 0);
   });
 });
+
+describe('createCache', () => {
+  const state = {
+    letterById: {
+      1: 'a',
+      2: 'b',
+    },
+  };
+
+  it('should store results in the cache it creates', () => {
+    const cacheCalls = [];
+    const createInstrumentedCache = (options) => {
+      const cache = CACHE_PRESETS.STRINGIFIED_KEYS(options);
+      return {
+        ...cache,
+        get: (keyParams) => {
+          cacheCalls.push(['get', keyParams]);
+          return cache.get(keyParams);
+        },
+        set: (keyParams, resultRecord) => {
+          cacheCalls.push(['set', keyParams]);
+          return cache.set(keyParams, resultRecord);
+        },
+      };
+    };
+
+    const selectLetterById = parameterizedSelectorFactory.withOptions({
+      createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+      createCache: createInstrumentedCache,
+      isRootSelector: true,
+    })((innerState, id) => innerState.letterById[id]);
+
+    assert.equal(selectLetterById(state, 1), 'a');
+    assert.equal(selectLetterById(state, 1), 'a');
+    assert.deepEqual(cacheCalls, [
+      ['get', 1],
+      ['set', 1],
+      ['get', 1],
+    ]);
+  });
+
+  it('should work with a cache that does not use string keys at all', () => {
+    const selectLetterById = parameterizedSelectorFactory.withOptions({
+      createKeyFromParams: () => {
+        throw new Error('createKeyFromParams should not be called');
+      },
+      createCache: () => {
+        const cache = new Map();
+        return {
+          get: keyParams => cache.get(keyParams),
+          set: (keyParams, resultRecord) => cache.set(keyParams, resultRecord),
+          delete: keyParams => cache.delete(keyParams),
+          keys: () => Array.from(cache.keys()),
+          clear: () => cache.clear(),
+        };
+      },
+      isRootSelector: true,
+      performanceChecksEnabled: true,
+    })((innerState, id) => innerState.letterById[id]);
+
+    assert.equal(selectLetterById(state, 1), 'a');
+    assert.equal(selectLetterById(state, 2), 'b');
+    assert.equal(selectLetterById(state, 1), 'a');
+    assert.equal(selectLetterById.getGlobalFullRunCount(), 2);
+    assert.equal(selectLetterById.getSkippedRunCountForParams(1), 1);
+  });
+
+  it('should work with a cache that cannot list its keys', () => {
+    const warnings = [];
+    const createWeakSelector = parameterizedSelectorFactory.withOptions({
+      createCache: () => {
+        let cache = new WeakMap();
+        return {
+          get: keyParams => cache.get(keyParams),
+          set: (keyParams, resultRecord) => cache.set(keyParams, resultRecord),
+          delete: keyParams => cache.delete(keyParams),
+          clear: () => {
+            cache = new WeakMap();
+          },
+        };
+      },
+      isRootSelector: true,
+      performanceChecksEnabled: true,
+      warningsCallback: message => warnings.push(message),
+    });
+    const selectLetter = createWeakSelector((innerState, { id }) => innerState.letterById[id]);
+    const params1 = { id: 1 };
+    const params2 = { id: 2 };
+
+    assert.equal(selectLetter(state, params1), 'a');
+    assert.equal(selectLetter(state, params2), 'b');
+    assert.equal(selectLetter(state, params1), 'a');
+    assert.equal(selectLetter.getGlobalFullRunCount(), 2);
+
+    // Without keys() or a maxCacheSize, the results can't be listed
+    assert.equal(selectLetter.invalidateWhere(() => true), 0);
+    assert.equal(warnings.length, 1);
+    assert.include(warnings[0], 'has a cache without keys()');
+    assert.deepEqual(selectLetter.getCachedResultRecords(), []);
+    assert.equal(warnings.length, 1);
+
+    // ...but they can still be cleared
+    selectLetter.clearCache();
+    assert.equal(selectLetter(state, params1), 'a');
+    assert.equal(selectLetter.getGlobalFullRunCount(), 3);
+
+    // A bounded cache lists its results by recency instead
+    const selectBoundedLetter = createWeakSelector(
+      (innerState, { id }) => innerState.letterById[id],
+      { maxCacheSize: 5 },
+    );
+    selectBoundedLetter(state, params1);
+    selectBoundedLetter(state, params2);
+    assert.equal(selectBoundedLetter.invalidateWhere(({ id }) => id === 2), 1);
+    assert.equal(selectBoundedLetter.clearCache(), 1);
+    assert.equal(warnings.length, 1);
+  });
+});
+
+describe('CACHE_PRESETS.NAMED_PARAMS', () => {
+  it('should cache results by the values of each named param', () => {
+    let numKeysCreated = 0;
+    const createBookSelector = parameterizedSelectorFactory.withOptions({
+      createKeyFromParams: (keyParams) => {
+        numKeysCreated += 1;
+        return KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS(keyParams);
+      },
+      createCache: CACHE_PRESETS.NAMED_PARAMS,
+      isRootSelector: true,
+      performanceChecksEnabled: true,
+    });
+    const selectBookTitle = createBookSelector(
+      (state, { authorId, index }) => state.bookTitlesByAuthorId[authorId][index],
+    );
+
+    const state = {
+      bookTitlesByAuthorId: {
+        1: ['Alphabet', 'Chapter'],
+      },
+    };
+
+    assert.equal(selectBookTitle(state, { authorId: 1, index: 0 }), 'Alphabet');
+    assert.equal(selectBookTitle(state, { authorId: 1, index: 1 }), 'Chapter');
+    assert.equal(selectBookTitle(state, { index: 0, authorId: 1 }), 'Alphabet');
+    assert.equal(selectBookTitle.getGlobalFullRunCount(), 2);
+    assert.equal(selectBookTitle.getGlobalSkippedRunCount(), 1);
+    assert.equal(numKeysCreated, 0);
+  });
+
+  it('should not stringify params to check for circular calls', () => {
+    let numKeysCreated = 0;
+    const selectFactorial = parameterizedSelectorFactory(
+      ({ n }) => (n > 1 ? n * selectFactorial({ n: n - 1 }) : 1), // eslint-disable-line no-use-before-define
+      {
+        createKeyFromParams: (keyParams) => {
+          numKeysCreated += 1;
+          return KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS(keyParams);
+        },
+        createCache: CACHE_PRESETS.NAMED_PARAMS,
+        isRootSelector: false,
+      },
+    );
+
+    assert.equal(selectFactorial({}, { n: 5 }), 120);
+    assert.equal(numKeysCreated, 0);
+  });
+
+  describe('without a createKeyFromParams', () => {
+    const createNamedParamsSelector = parameterizedSelectorFactory.withOptions({
+      createCache: CACHE_PRESETS.NAMED_PARAMS,
+      isRootSelector: false,
+      warningsEnabled: false,
+      performanceChecksEnabled: true,
+    });
+
+    it('should throw the selector\'s own error', () => {
+      const exceptionMessages = [];
+      const selectBrokenTitle = createNamedParamsSelector(
+        ({ bookId }) => {
+          throw new Error(`Book ${bookId} has no title`);
+        },
+        {
+          displayName: 'selectBrokenTitle',
+          exceptionCallback: errorMessage => exceptionMessages.push(errorMessage),
+        },
+      );
+
+      assert.throws(() => selectBrokenTitle({}, { bookId: 101 }), 'Book 101 has no title');
+      assert.deepEqual(exceptionMessages, [
+        'Parameterized selector "selectBrokenTitle({"bookId":101})" threw an exception: Book 101 has no title',
+      ]);
+    });
+
+    it('should let a selector call itself with different params', () => {
+      const selectFactorial = createNamedParamsSelector(
+        ({ n }) => (n > 1 ? n * selectFactorial({ n: n - 1 }) : 1), // eslint-disable-line no-use-before-define
+        { displayName: 'selectFactorial' },
+      );
+
+      assert.equal(selectFactorial({}, { n: 5 }), 120);
+      assert.equal(selectFactorial.getGlobalFullRunCount(), 5);
+    });
+
+    it('should match params through the cache when checking for circular calls', () => {
+      const selectLoop = createNamedParamsSelector(
+        ({ id }) => selectLoop({ id }), // eslint-disable-line no-use-before-define
+        {
+          displayName: 'selectLoop',
+          exceptionCallback: () => {},
+        },
+      );
+
+      assert.throws(() => selectLoop({}, { id: 1 }), CircularDependencyError);
+      try {
+        selectLoop({}, { id: 1 });
+      } catch (error) {
+        assert.deepEqual(error.selectorPath, ['selectLoop({"id":1})', 'selectLoop({"id":1})']);
+      }
+    });
+  });
+});
+
+describe('maxCacheSize', () => {
+  const createLetterSelector = parameterizedSelectorFactory.withOptions({
+    createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+    compareIncomingStates: COMPARISON_PRESETS.SAME_REFERENCE,
+    compareSelectorResults: COMPARISON_PRESETS.SAME_REFERENCE_OR_EMPTY,
+    isRootSelector: true,
+    performanceChecksEnabled: true,
+  });
+
+  const state = {
+    letterById: {
+      1: 'a',
+      2: 'b',
+      3: 'c',
+    },
+  };
+
+  it('should keep every result when the cache is unbounded', () => {
+    const selectLetterById = createLetterSelector((innerState, id) => innerState.letterById[id]);
+
+    selectLetterById(state, 1);
+    selectLetterById(state, 2);
+    selectLetterById(state, 3);
+
+    assert.equal(selectLetterById.hasCachedResult(state, 1), true);
+    assert.equal(selectLetterById.hasCachedResult(state, 2), true);
+    assert.equal(selectLetterById.hasCachedResult(state, 3), true);
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 0);
+  });
+
+  it('should evict the least-recently-used result by default', () => {
+    const selectLetterById = createLetterSelector(
+      (innerState, id) => innerState.letterById[id],
+      { maxCacheSize: 2 },
+    );
+
+    selectLetterById(state, 1);
+    selectLetterById(state, 2);
+    selectLetterById(state, 1);
+    selectLetterById(state, 3);
+
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 1);
+    assert.equal(selectLetterById.getAllGlobalCounts().globalEvictionCount, 1);
+    assert.equal(selectLetterById.getInvokeCountForParams(2), 0);
+
+    // An evicted result is a plain cache miss
+    assert.equal(selectLetterById(state, 2), 'b');
+    assert.equal(selectLetterById.getFullRunCountForParams(2), 1);
+    assert.equal(selectLetterById.getGlobalFullRunCount(), 4);
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 2);
+  });
+
+  it('should evict the least-frequently-used result when asked to', () => {
+    const selectLetterById = createLetterSelector(
+      (innerState, id) => innerState.letterById[id],
+      {
+        maxCacheSize: 2,
+        evictionPolicy: EVICTION_PRESETS.LEAST_FREQUENTLY_USED,
+      },
+    );
+
+    selectLetterById(state, 1);
+    selectLetterById(state, 1);
+    selectLetterById(state, 2);
+    selectLetterById(state, 3);
+
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 1);
+    assert.equal(selectLetterById.getInvokeCountForParams(1), 2);
+    assert.equal(selectLetterById.getInvokeCountForParams(2), 0);
+    assert.equal(selectLetterById.getInvokeCountForParams(3), 1);
+  });
+
+  it('should not evict anything to note a result that was only checked for', () => {
+    const selectLetterById = createLetterSelector(
+      (innerState, id) => innerState.letterById[id],
+      { maxCacheSize: 2 },
+    );
+
+    selectLetterById(state, 1);
+    selectLetterById(state, 2);
+    assert.equal(selectLetterById.hasCachedResult(state, 3), false);
+    assert.equal(selectLetterById.hasCachedResult(state, 3), false);
+
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 0);
+    assert.equal(selectLetterById.getGlobalAbortedRunCount(), 2);
+    assert.equal(selectLetterById.hasCachedResult(state, 1), true);
+    assert.equal(selectLetterById.hasCachedResult(state, 2), true);
+    assert.equal(selectLetterById.getGlobalFullRunCount(), 2);
+  });
+
+  it('should leave the cache unbounded when maxCacheSize is not a positive integer', () => {
+    const warnings = [];
+    const selectLetterById = createLetterSelector(
+      (innerState, id) => innerState.letterById[id],
+      {
+        maxCacheSize: -1,
+        warningsCallback: (...args) => warnings.push(args),
+      },
+    );
+    assert.equal(warnings.length, 1);
+    assert.include(warnings[0][0], 'invalid maxCacheSize');
+
+    assert.equal(selectLetterById(state, 1), 'a');
+    assert.equal(selectLetterById(state, 2), 'b');
+    assert.equal(selectLetterById.hasCachedResult(state, 1), true);
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 0);
+  });
+
+  it('should keep everything when the evictionPolicy finds nothing to evict', () => {
+    const selectLetterById = createLetterSelector(
+      (innerState, id) => innerState.letterById[id],
+      {
+        maxCacheSize: 1,
+        evictionPolicy: () => null,
+      },
+    );
+
+    assert.equal(selectLetterById(state, 1), 'a');
+    assert.equal(selectLetterById(state, 2), 'b');
+    assert.equal(selectLetterById.hasCachedResult(state, 1), true);
+    assert.equal(selectLetterById.getGlobalEvictionCount(), 0);
+  });
+
+  it('should make parents re-run when a dependency they recorded was evicted', () => {
+    const selectLetterById = createLetterSelector(
+      (innerState, id) => innerState.letterById[id],
+    );
+    const selectWord = parameterizedSelectorFactory.withOptions({
+      createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+      isRootSelector: false,
+      performanceChecksEnabled: true,
+    });
+    const selectUpperCaseLetter = selectWord(
+      id => ({ letter: selectLetterById(id).toUpperCase() }),
+      { maxCacheSize: 1 },
+    );
+    const selectUpperCaseLetters = selectWord(
+      ids => ids.map(id => selectUpperCaseLetter(id).letter).join(''),
+    );
+
+    assert.equal(selectUpperCaseLetters(state, [1, 2]), 'AB');
+    assert.equal(selectUpperCaseLetter.getGlobalFullRunCount(), 2);
+    assert.equal(selectUpperCaseLetter.getGlobalEvictionCount(), 1);
+
+    // When letter 2 changes the parent checks its dependencies, and finds that the record for letter 1 is gone:
+    // that forces both a re-run of letter 1 (which would otherwise have been skipped) and of the parent.
+    const newState = {
+      letterById: {
+        ...state.letterById,
+        2: 'bb',
+      },
+    };
+    assert.equal(selectUpperCaseLetters(newState, [1, 2]), 'ABB');
+    assert.equal(selectUpperCaseLetter.getGlobalFullRunCount(), 4);
+    assert.equal(selectUpperCaseLetters.getFullRunCountForParams([1, 2]), 2);
+  });
+});
+
+describe('hasStaticDependencies', () => {
+  const selectLetterById = parameterizedSelectorFactory.withOptions({
+    createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+    compareIncomingStates: COMPARISON_PRESETS.SAME_REFERENCE,
+    compareSelectorResults: COMPARISON_PRESETS.SAME_REFERENCE_OR_EMPTY,
+    isRootSelector: true,
+    performanceChecksEnabled: true,
+  })((innerState, id) => innerState.letterById[id]);
+  const createWordSelector = parameterizedSelectorFactory.withOptions({
+    createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+    isRootSelector: false,
+    performanceChecksEnabled: true,
+  });
+
+  const state = {
+    letterById: {
+      1: 'a',
+      2: 'b',
+      3: 'c',
+    },
+  };
+
+  it('should reuse the dependencies it recorded the first time', () => {
+    const selectUpperCaseLetter = createWordSelector(id => ({ letter: selectLetterById(id).toUpperCase() }));
+    const selectUpperCaseLetters = createWordSelector(
+      ids => ids.map(id => selectUpperCaseLetter(id).letter).join(''),
+      { hasStaticDependencies: true },
+    );
+
+    assert.equal(selectUpperCaseLetters(state, [1, 2]), 'AB');
+    const { rootDependencies, ownDependencies } = selectUpperCaseLetters.getCachedResultRecord([1, 2]);
+
+    const secondState = {
+      letterById: {
+        ...state.letterById,
+        2: 'bb',
+      },
+    };
+    assert.equal(selectUpperCaseLetters(secondState, [1, 2]), 'ABB');
+    const resultRecord = selectUpperCaseLetters.getCachedResultRecord([1, 2]);
+    assert.equal(resultRecord.rootDependencies, rootDependencies);
+    assert.equal(resultRecord.ownDependencies, ownDependencies);
+    assert.equal(ownDependencies[1][2].letter, 'BB');
+    assert.equal(rootDependencies[1][2], 'bb');
+
+    // Since the root dependencies were updated too, an unrelated change doesn't make it re-run
+    const thirdState = {
+      letterById: {
+        ...secondState.letterById,
+        3: 'cc',
+      },
+    };
+    assert.equal(selectUpperCaseLetters(thirdState, [1, 2]), 'ABB');
+    assert.equal(selectUpperCaseLetters.getFullRunCountForParams([1, 2]), 2);
+    assert.equal(selectUpperCaseLetters.getSkippedRunCountForParams([1, 2]), 1);
+  });
+
+  it('should keep the result records of its root dependencies instead of looking them up on each run', () => {
+    const selectOwnLetterById = parameterizedSelectorFactory.withOptions({
+      createKeyFromParams: KEY_PRESETS.JSON_STRING_WITH_STABLE_KEYS,
+      isRootSelector: true,
+    })((innerState, id) => innerState.letterById[id]);
+    const selectUpperCaseLetter = createWordSelector(id => selectOwnLetterById(id).toUpperCase());
+    const selectUpperCaseLetters = createWordSelector(
+      ids => ids.map(id => selectUpperCaseLetter(id)).join(''),
+      { hasStaticDependencies: true },
+    );
+    let numLookups = 0;
+    const { getCachedResultRecord } = selectOwnLetterById;
+    selectOwnLetterById.getCachedResultRecord = (keyParams) => {
+      numLookups += 1;
+      return getCachedResultRecord(keyParams);
+    };
+
+    assert.equal(selectUpperCaseLetters(state, [1, 2]), 'AB');
+    assert.equal(numLookups, 0);
+    assert.equal(selectUpperCaseLetters({ letterById: { ...state.letterById, 1: 'x' } }, [1, 2]), 'XB');
+    assert.equal(numLookups, 2);
+    assert.equal(selectUpperCaseLetters({ letterById: { ...state.letterById, 1: 'y' } }, [1, 2]), 'YB');
+    assert.equal(selectUpperCaseLetters({ letterById: { ...state.letterById, 1: 'z' } }, [1, 2]), 'ZB');
+    // Only the record that was replaced each time is looked up again
+    assert.equal(numLookups, 4);
+    assert.equal(selectUpperCaseLetters.getFullRunCountForParams([1, 2]), 4);
+  });
+
+  it('should share its root dependencies with its callers, without changing theirs later', () => {
+    const selectUpperCaseLetter = createWordSelector(id => ({ letter: selectLetterById(id).toUpperCase() }));
+    const selectUpperCaseLetters = createWordSelector(
+      ids => ids.map(id => selectUpperCaseLetter(id).letter).join(''),
+      { hasStaticDependencies: true },
+    );
+    const selectSentence = createWordSelector(ids => `${selectUpperCaseLetters(ids)} ${selectLetterById(3)}`);
+
+    assert.equal(selectSentence(state, [1, 2]), 'AB c');
+    // selectUpperCaseLetters doesn't run here, so it passes its frozen root dependencies along itself
+    const secondState = {
+      letterById: {
+        ...state.letterById,
+        3: 'cc',
+      },
+    };
+    assert.equal(selectSentence(secondState, [1, 2]), 'AB cc');
+    assert.equal(selectUpperCaseLetters.getFullRunCountForParams([1, 2]), 1);
+
+    // Once selectUpperCaseLetters catches up on its own, selectSentence must still see that something changed
+    const thirdState = {
+      letterById: {
+        ...secondState.letterById,
+        2: 'bb',
+      },
+    };
+    assert.equal(selectUpperCaseLetters(thirdState, [1, 2]), 'ABB');
+    assert.equal(selectSentence(thirdState, [1, 2]), 'ABB cc');
+  });
+
+  describe('when the dependencies are not really static', () => {
+    const createSelectorWithFallback = overrideOptions => createWordSelector(
+      (id) => {
+        const letter = selectLetterById(id);
+        return letter === 'a' ? letter : `${letter}${selectLetterById(3)}`;
+      },
+      {
+        hasStaticDependencies: true,
+        ...overrideOptions,
+      },
+    );
+    const secondState = {
+      letterById: {
+        ...state.letterById,
+        1: 'b',
+      },
+    };
+    const thirdState = {
+      letterById: {
+        ...secondState.letterById,
+        3: 'd',
+      },
+    };
+
+    it('should warn, and still give correct results', () => {
+      const warnings = [];
+      const selectWithFallback = createSelectorWithFallback({
+        warningsCallback: message => warnings.push(message),
+      });
+
+      assert.equal(selectWithFallback(state, 1), 'a');
+      assert.equal(selectWithFallback(secondState, 1), 'bc');
+      assert.equal(warnings.length, 1);
+      assert.include(warnings[0], 'called different selectors than before');
+
+      assert.equal(selectWithFallback(thirdState, 1), 'bd');
+    });
+
+    it('should warn when a sampled run records different dependencies', () => {
+      const warnings = [];
+      const selectWithFallback = createSelectorWithFallback({
+        warningsCallback: message => warnings.push(message),
+        staticDependencyCheckInterval: 1,
+      });
+
+      assert.equal(selectWithFallback(state, 1), 'a');
+      assert.equal(selectWithFallback(secondState, 1), 'bc');
+      assert.equal(warnings.length, 1);
+      assert.include(warnings[0], 'its dependencies changed');
+
+      // It picks up the new dependencies
+      assert.equal(selectWithFallback(thirdState, 1), 'bd');
+      assert.equal(warnings.length, 1);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  bindSelectorsToStore,
+  createMapStateToProps,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+// Just enough of a Redux store for these tests
+const createStore = (initialState) => {
+  let state = initialState;
+  let listeners = [];
+  return {
+    getState: () => state,
+    setState: (newState) => {
+      state = newState;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners = [...listeners, listener];
+      return () => {
+        listeners = listeners.filter(otherListener => otherListener !== listener);
+      };
+    },
+  };
+};
+
+describe('Store bindings', () => {
+  const initialState = {
+    authorDataById: {
+      1: { name: 'Alice' },
+      2: { name: 'Bob' },
+    },
+  };
+
+  let selectRawAuthorData;
+  let selectAuthorName;
+  let selectAuthorCount;
+  let store;
+
+  beforeEach(() => {
+    selectRawAuthorData = createParameterizedRootSelector(
+      (state, { authorId }) => state.authorDataById[authorId],
+      { performanceChecksEnabled: true },
+    );
+    selectAuthorName = createParameterizedSelector(
+      ({ authorId }) => selectRawAuthorData({ authorId }).name,
+      { performanceChecksEnabled: true },
+    );
+    selectAuthorCount = createParameterizedRootSelector(
+      state => Object.keys(state.authorDataById).length,
+      { performanceChecksEnabled: true },
+    );
+    store = createStore(initialState);
+  });
+
+  describe('bindSelectorsToStore', () => {
+    it('should read the state from the store', () => {
+      const bound = bindSelectorsToStore(store, { selectAuthorName, selectAuthorCount });
+      assert.deepEqual(Object.keys(bound), ['selectAuthorName', 'selectAuthorCount']);
+
+      assert.equal(bound.selectAuthorName({ authorId: 1 }), 'Alice');
+      assert.equal(bound.selectAuthorCount(), 2);
+
+      store.setState({
+        authorDataById: { ...initialState.authorDataById, 1: { name: 'Alicia' } },
+      });
+      assert.equal(bound.selectAuthorName({ authorId: 1 }), 'Alicia');
+    });
+
+    it('should keep the original helpers', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+
+      assert.equal(boundSelectAuthorName.hasCachedResult({ authorId: 1 }), false);
+      boundSelectAuthorName({ authorId: 1 });
+      boundSelectAuthorName({ authorId: 1 });
+      assert.equal(boundSelectAuthorName.hasCachedResult({ authorId: 1 }), true);
+
+      // hasCachedResult counts as an invocation, too
+      assert.equal(boundSelectAuthorName.getInvokeCountForParams({ authorId: 1 }), 4);
+      assert.equal(boundSelectAuthorName.getGlobalFullRunCount(), 1);
+      assert.equal(boundSelectAuthorName.displayName, selectAuthorName.displayName);
+      assert.equal(selectAuthorName.getGlobalFullRunCount(), 1);
+    });
+
+    it('should keep up with changes to the original selector', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+
+      selectAuthorName.setOptions({ displayName: 'binding:selectRenamedAuthorName' });
+      assert.equal(boundSelectAuthorName.displayName, 'binding:selectRenamedAuthorName');
+      assert.deepEqual(boundSelectAuthorName.getOptions(), selectAuthorName.getOptions());
+    });
+
+    it('should fill in the state for selectMany', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+      assert.deepEqual(boundSelectAuthorName.selectMany([{ authorId: 2 }, { authorId: 1 }]), ['Bob', 'Alice']);
+    });
+
+    it('should fill in the state for precompute', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+      boundSelectAuthorName.precompute([{ authorId: 2 }]);
+      assert.equal(selectAuthorName.hasCachedResult(initialState, { authorId: 2 }), true);
+    });
+
+    it('should read the store for each part of precompute', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+      const scheduler = callback => setImmediate(callback);
+      const promise = boundSelectAuthorName.precompute([{ authorId: 1 }, { authorId: 2 }], { scheduler });
+      const newState = {
+        authorDataById: { ...initialState.authorDataById, 2: { name: 'Robert' } },
+      };
+      store.setState(newState);
+      return promise.then(() => {
+        assert.equal(selectAuthorName.hasCachedResult(newState, { authorId: 2 }), true);
+      });
+    });
+
+    it('should subscribe to the store', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+      const calls = [];
+      boundSelectAuthorName.subscribe({ authorId: 2 }, (...args) => calls.push(args));
+
+      store.setState({
+        authorDataById: { ...initialState.authorDataById, 2: { name: 'Robert' } },
+      });
+      assert.deepEqual(calls, [['Robert', 'Bob']]);
+    });
+
+    it('should work from within other selectors', () => {
+      const { selectAuthorName: boundSelectAuthorName } = bindSelectorsToStore(store, { selectAuthorName });
+      const selectAuthorNames = createParameterizedSelector(
+        ({ authorIds }) => authorIds.map(authorId => boundSelectAuthorName({ authorId })),
+      );
+
+      // The state given here wins over the one in the store
+      const otherState = {
+        authorDataById: { 1: { name: 'Ann' }, 2: { name: 'Ben' } },
+      };
+      assert.deepEqual(selectAuthorNames(otherState, { authorIds: [1, 2] }), ['Ann', 'Ben']);
+    });
+  });
+
+  describe('createMapStateToProps', () => {
+    it('should call each selector with params from ownProps', () => {
+      const mapStateToProps = createMapStateToProps({
+        authorName: [selectAuthorName, ownProps => ({ authorId: ownProps.authorId })],
+        authorCount: [selectAuthorCount],
+      });
+
+      const firstProps = mapStateToProps(initialState, { authorId: 2 });
+      assert.deepEqual(firstProps, { authorName: 'Bob', authorCount: 2 });
+
+      const secondProps = mapStateToProps(initialState, { authorId: 2 });
+      assert.equal(secondProps.authorName, firstProps.authorName);
+      assert.equal(selectAuthorName.getFullRunCountForParams({ authorId: 2 }), 1);
+    });
+  });
+});
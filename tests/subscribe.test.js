@@ -0,0 +1,197 @@
+/* eslint-env mocha */
+import chai from 'chai';
+
+import {
+  COMPARISON_PRESETS,
+  createParameterizedRootSelector,
+  createParameterizedSelector,
+  createSelectorContext,
+} from '../src/index';
+
+const assert = chai.assert; // eslint-disable-line prefer-destructuring
+
+// Just enough of a Redux store for these tests
+const createStore = (initialState) => {
+  let state = initialState;
+  let listeners = [];
+  return {
+    getState: () => state,
+    setState: (newState) => {
+      state = newState;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners = [...listeners, listener];
+      return () => {
+        listeners = listeners.filter(otherListener => otherListener !== listener);
+      };
+    },
+    getListenerCount: () => listeners.length,
+  };
+};
+
+describe('subscribe', () => {
+  const initialState = {
+    bookDataById: {
+      101: { title: 'Alphabet', authorId: 1 },
+      102: { title: 'Binding', authorId: 2 },
+      103: { title: 'Chapter', authorId: 1 },
+    },
+    bookIdsByAuthorId: {
+      1: [101, 103],
+      2: [102],
+    },
+  };
+
+  let selectRawBookData;
+  let selectBookIdsForAuthor;
+  let selectTitlesForAuthor;
+  let store;
+  let calls;
+  const listener = (...args) => calls.push(args);
+
+  beforeEach(() => {
+    selectRawBookData = createParameterizedRootSelector(
+      (state, { bookId }) => state.bookDataById[bookId],
+      { performanceChecksEnabled: true },
+    );
+    selectBookIdsForAuthor = createParameterizedRootSelector(
+      (state, { authorId }) => state.bookIdsByAuthorId[authorId],
+      { performanceChecksEnabled: true },
+    );
+    selectTitlesForAuthor = createParameterizedSelector(
+      ({ authorId }) => selectBookIdsForAuthor({ authorId }).map(bookId => selectRawBookData({ bookId }).title),
+      {
+        compareSelectorResults: COMPARISON_PRESETS.SHALLOW_EQUAL,
+        performanceChecksEnabled: true,
+      },
+    );
+    store = createStore(initialState);
+    calls = [];
+  });
+
+  it('should call the listener when the result changes', () => {
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+    const firstTitles = selectTitlesForAuthor(initialState, { authorId: 1 });
+    assert.deepEqual(calls, []);
+
+    store.setState({
+      ...initialState,
+      bookDataById: {
+        ...initialState.bookDataById,
+        103: { title: 'Chapters', authorId: 1 },
+      },
+    });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0][0], ['Alphabet', 'Chapters']);
+    assert.equal(calls[0][1], firstTitles);
+  });
+
+  it('should not re-run or call the listener when nothing it depends on changed', () => {
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+
+    store.setState({
+      ...initialState,
+      bookDataById: {
+        ...initialState.bookDataById,
+        102: { title: 'Bookbinding', authorId: 2 },
+      },
+    });
+    assert.deepEqual(calls, []);
+    assert.equal(selectTitlesForAuthor.getFullRunCountForParams({ authorId: 1 }), 1);
+    assert.equal(selectTitlesForAuthor.getSkippedRunCountForParams({ authorId: 1 }), 1);
+  });
+
+  it('should not call the listener for phantom runs', () => {
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+
+    store.setState({
+      ...initialState,
+      bookDataById: {
+        ...initialState.bookDataById,
+        103: { title: 'Chapter', authorId: 1, pageCount: 100 },
+      },
+    });
+    assert.deepEqual(calls, []);
+    assert.equal(selectTitlesForAuthor.getPhantomRunCountForParams({ authorId: 1 }), 1);
+  });
+
+  it('should not do anything when the store notifies without a new state', () => {
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+
+    store.setState(initialState);
+    assert.deepEqual(calls, []);
+    assert.equal(selectTitlesForAuthor.getInvokeCountForParams({ authorId: 1 }), 1);
+  });
+
+  it('should stop once unsubscribed', () => {
+    const unsubscribe = selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+    assert.equal(store.getListenerCount(), 1);
+
+    unsubscribe();
+    unsubscribe();
+    assert.equal(store.getListenerCount(), 0);
+
+    store.setState({
+      ...initialState,
+      bookIdsByAuthorId: { ...initialState.bookIdsByAuthorId, 1: [101] },
+    });
+    assert.deepEqual(calls, []);
+  });
+
+  it('should check the selector again once something is invalidated', () => {
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+    const firstTitles = selectTitlesForAuthor(initialState, { authorId: 1 });
+
+    selectRawBookData.invalidate({ bookId: 101 });
+    selectRawBookData.invalidate({ bookId: 103 });
+    // Listeners only hear about it once the invalidations are done
+    assert.equal(selectTitlesForAuthor.getInvokeCountForParams({ authorId: 1 }), 2);
+    return Promise.resolve().then(() => {
+      // Its dependencies still return the same values for this state, so it didn't need to re-run
+      assert.equal(selectTitlesForAuthor.getInvokeCountForParams({ authorId: 1 }), 3);
+      assert.equal(selectTitlesForAuthor.getSkippedRunCountForParams({ authorId: 1 }), 2);
+      assert.deepEqual(calls, []);
+
+      selectTitlesForAuthor.invalidate({ authorId: 1 });
+      return Promise.resolve();
+    }).then(() => {
+      assert.equal(calls.length, 1);
+      assert.deepEqual(calls[0], [['Alphabet', 'Chapter'], firstTitles]);
+      assert.notEqual(calls[0][0], firstTitles);
+    });
+  });
+
+  it('should not swallow exceptions from the listener after an invalidation', () => {
+    const errorFromListener = new Error('Listener error');
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, () => {
+      throw errorFromListener;
+    });
+    selectTitlesForAuthor.subscribe(store, { authorId: 1 }, listener);
+
+    const unhandledErrors = [];
+    const onUnhandledRejection = error => unhandledErrors.push(error);
+    process.on('unhandledRejection', onUnhandledRejection);
+    selectTitlesForAuthor.invalidate({ authorId: 1 });
+    return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+      process.removeListener('unhandledRejection', onUnhandledRejection);
+      assert.deepEqual(unhandledErrors, [errorFromListener]);
+      // The other subscription still heard about it
+      assert.equal(calls.length, 1);
+    });
+  });
+
+  it('should run within the selector context that was active when subscribing', () => {
+    const context = createSelectorContext();
+    context.run(() => selectTitlesForAuthor.subscribe(store, { authorId: 2 }, listener));
+
+    store.setState({
+      ...initialState,
+      bookIdsByAuthorId: { ...initialState.bookIdsByAuthorId, 2: [102, 103] },
+    });
+    assert.deepEqual(calls[0][0], ['Binding', 'Chapter']);
+
+    assert.equal(selectTitlesForAuthor.getGlobalInvokeCount(), 0);
+    assert.equal(context.run(selectTitlesForAuthor.getGlobalFullRunCount), 2);
+  });
+});